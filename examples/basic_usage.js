@@ -1,5 +1,5 @@
 import dotenv from 'dotenv';
-import { Client, Message, MessageType, Config } from '../src/t3/index.js';
+import { Client, Message, MessageType, Config, AuthenticationError } from '../src/t3/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,13 +27,9 @@ async function main() {
     console.log('=== Sending a Message ===\n');
     const client = new Client(cookies, convexSessionId);
 
-    // Initialize the client and check if initialization was successful
-    const initSuccess = await client.init();
-    if (initSuccess) {
-      console.log('Client initialized successfully');
-    } else {
-      throw new Error('Failed to initialize client');
-    }
+    // Initialize the client; throws AuthenticationError if the session is not signed in
+    await client.init();
+    console.log('Client initialized successfully');
 
     const config = new Config();
 
@@ -68,7 +64,11 @@ async function main() {
     console.log(`Thread ID: ${client.getThreadId()}`);
 
   } catch (error) {
-    console.error('Error:', error.message);
+    if (error instanceof AuthenticationError) {
+      console.error('Authentication failed, update COOKIES and CONVEX_SESSION_ID:', error.message);
+    } else {
+      console.error('Error:', error.message);
+    }
     process.exit(1);
   }
 }
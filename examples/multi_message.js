@@ -1,5 +1,5 @@
 import dotenv from 'dotenv';
-import { Client, Message, MessageType, Config } from '../src/t3/index.js';
+import { Client, Message, MessageType, Config, AuthenticationError } from '../src/t3/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,13 +26,9 @@ async function main() {
     // Create a new client
     const client = new Client(cookies, convexSessionId);
 
-    // Initialize the client
-    const initSuccess = await client.init();
-    if (initSuccess) {
-      console.log('Client initialized successfully\n');
-    } else {
-      throw new Error('Failed to initialize client');
-    }
+    // Initialize the client; throws AuthenticationError if the session is not signed in
+    await client.init();
+    console.log('Client initialized successfully\n');
 
     // Create config
     const config = new Config();
@@ -112,7 +108,11 @@ async function main() {
     console.log(`Total messages in conversation: ${client.getMessages().length}`);
 
   } catch (error) {
-    console.error('Error:', error.message);
+    if (error instanceof AuthenticationError) {
+      console.error('Authentication failed, update COOKIES and CONVEX_SESSION_ID:', error.message);
+    } else {
+      console.error('Error:', error.message);
+    }
     process.exit(1);
   }
 }
@@ -0,0 +1,122 @@
+import { createHash, randomBytes } from 'crypto';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './t3/files.js';
+
+/**
+ * API keys issued by the OpenAI-compatible server, stored in a JSON file.
+ * 
+ * Only a SHA-256 hash of each key is kept; the key itself is returned once
+ * by `create`. Every key names the credential profile its requests use.
+ */
+export class ApiKeyStore {
+  static PREFIX = 'sk-t3-';
+
+  /**
+   * @param {string} path - The JSON file holding the keys
+   * @param {Object[]} records - The stored key records
+   */
+  constructor(path, records = []) {
+    this.path = path;
+    this.records = records;
+  }
+
+  /**
+   * Loads the keys from a file; a missing file gives an empty store.
+   * 
+   * @param {string} path - The JSON file holding the keys
+   * @returns {Promise<ApiKeyStore>} The store
+   */
+  static async load(path) {
+    try {
+      const json = JSON.parse(await readFile(path, 'utf8'));
+      return new ApiKeyStore(path, json.keys || []);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new ApiKeyStore(path);
+      throw error;
+    }
+  }
+
+  static hash(key) {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Issues a new key.
+   * 
+   * @param {Object} options - Key settings
+   * @param {string} options.name - Unique name, used for per-key settings and logs
+   * @param {string} [options.profile] - Credential profile the key's requests use
+   * @returns {Promise<{key: string, record: Object}>} The key (only available now) and its public record
+   */
+  async create({ name, profile = 'default' }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('API key name is required');
+    }
+    if (this.records.some(record => record.name === name && !record.revokedAt)) {
+      throw new Error(`An active API key named ${name} already exists`);
+    }
+
+    const key = `${ApiKeyStore.PREFIX}${randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${randomBytes(8).toString('hex')}`,
+      name,
+      profile,
+      hash: ApiKeyStore.hash(key),
+      hint: `${ApiKeyStore.PREFIX}...${key.slice(-4)}`,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.records.push(record);
+    await this.save();
+    return { key, record: ApiKeyStore.toPublic(record) };
+  }
+
+  /**
+   * Finds the active record for a key.
+   * 
+   * @param {string} key - The key sent by the caller
+   * @returns {Object|null} The public record, or null if the key is unknown or revoked
+   */
+  verify(key) {
+    if (!key) return null;
+    const hash = ApiKeyStore.hash(key);
+    const record = this.records.find(candidate => candidate.hash === hash && !candidate.revokedAt);
+    return record ? ApiKeyStore.toPublic(record) : null;
+  }
+
+  /**
+   * Revokes a key; revoked keys stay listed but no longer verify.
+   * 
+   * @param {string} id - The key ID
+   * @returns {Promise<Object|null>} The revoked record, or null if there is no key with this ID
+   */
+  async revoke(id) {
+    const record = this.records.find(candidate => candidate.id === id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return ApiKeyStore.toPublic(record);
+  }
+
+  /**
+   * Lists all keys without their hashes.
+   * 
+   * @returns {Object[]} The public records
+   */
+  list() {
+    return this.records.map(record => ApiKeyStore.toPublic(record));
+  }
+
+  async save() {
+    await writeFileAtomic(this.path, JSON.stringify({ keys: this.records }, null, 2), 0o600);
+  }
+
+  static toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+}
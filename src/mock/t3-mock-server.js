@@ -0,0 +1,208 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const MODELS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'models.json');
+
+// 1x1 transparent PNG served for image-gen fixtures
+const MOCK_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Load all JSON fixtures from a directory
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+/**
+ * Build an echo fixture that streams the last user message back word by word
+ */
+function echoFixture(body) {
+  const lastUser = [...(body.messages || [])].reverse().find(msg => msg.role === 'user');
+  const text = lastUser ? lastUser.parts.filter(part => part.type === 'text').map(part => part.text).join('\n') : '';
+  const words = text.split(/(?<=\s)/).filter(Boolean);
+
+  return {
+    name: 'echo',
+    events: [
+      ...words.map(word => ({ code: '0', value: word })),
+      { code: 'd', value: { finishReason: 'stop', usage: { promptTokens: words.length, completionTokens: words.length } } }
+    ]
+  };
+}
+
+/**
+ * Find the first fixture whose match rules accept the request
+ */
+function findFixture(fixtures, body) {
+  const lastUser = [...(body.messages || [])].reverse().find(msg => msg.role === 'user');
+  const prompt = lastUser ? lastUser.parts.map(part => part.text || '').join('\n') : '';
+
+  return fixtures.find(fixture => {
+    const match = fixture.match || {};
+    if (match.model && match.model !== body.model) return false;
+    if (match.prompt && !prompt.includes(match.prompt)) return false;
+    return Boolean(match.model || match.prompt);
+  });
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a fake t3.chat upstream.
+ * 
+ * Implements `GET /`, `GET /api/models` and `POST /api/chat` with the
+ * line-coded data stream protocol, replaying scripted fixtures selected by
+ * model name or prompt. Fixture `headers` are sent with the response, so
+ * fixtures can rotate session cookies with `set-cookie`. Requests for models
+ * without a fixture are echoed back. Every chat request body is recorded in
+ * `server.requests`.
+ * 
+ * @param {Object} options - Mock settings
+ * @param {Object[]} [options.fixtures] - Fixtures to use instead of the bundled ones
+ * @param {string|null} [options.cookies] - Cookie header required from clients, any non-empty cookie if null
+ * @param {string|null} [options.convexSessionId] - Session ID required in chat bodies, any if null
+ * @param {Object} [options.models] - Catalog served by `GET /api/models`, defaults to `models.json`
+ * @returns {http.Server} The unstarted server
+ */
+export function createMockT3Server({
+  fixtures = loadFixtures(),
+  cookies = null,
+  convexSessionId = null,
+  models = JSON.parse(fs.readFileSync(MODELS_PATH, 'utf8'))
+} = {}) {
+  const requests = [];
+
+  const isAuthorized = (req) => {
+    const cookie = req.headers.cookie || '';
+    return cookies === null ? cookie !== '' : cookie === cookies;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const baseUrl = `http://${req.headers.host}`;
+
+    if (req.method === 'GET' && req.url === '/mock/image.png') {
+      res.writeHead(200, { 'content-type': 'image/png' });
+      res.end(MOCK_IMAGE);
+      return;
+    }
+
+    // Like t3.chat, the home page loads whether or not the session is signed in
+    if (req.method === 'GET' && req.url === '/') {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.end(isAuthorized(req) ? '<html><body>t3.chat mock</body></html>' : '<html><body>Sign in</body></html>');
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/api/models') {
+      if (!isAuthorized(req)) {
+        res.writeHead(401, { 'content-type': 'text/plain' });
+        res.end('Unauthorized');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(models));
+      return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/api/chat') {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readRequestBody(req));
+    } catch (error) {
+      res.writeHead(400, { 'content-type': 'text/plain' });
+      res.end('Invalid JSON body');
+      return;
+    }
+    requests.push(body);
+
+    if (!isAuthorized(req) || (convexSessionId !== null && body.convexSessionId !== convexSessionId)) {
+      res.writeHead(401, { 'content-type': 'text/plain' });
+      res.end('Unauthorized');
+      return;
+    }
+
+    const fixture = findFixture(fixtures, body) || echoFixture(body);
+
+    if (fixture.status && fixture.status !== 200) {
+      res.writeHead(fixture.status, { 'content-type': 'text/plain', ...(fixture.headers || {}) });
+      res.end(fixture.body || '');
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8', ...(fixture.headers || {}) });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    for (const event of fixture.events || []) {
+      if (closed) return;
+
+      if (event.delay) {
+        await sleep(event.delay);
+      } else if (event.destroy) {
+        res.destroy();
+        return;
+      } else if (event.raw !== undefined) {
+        res.write(`${event.raw}\n`);
+      } else {
+        const value = JSON.stringify(event.value).split('{{baseUrl}}').join(baseUrl);
+        res.write(`${event.code}:${value}\n`);
+      }
+    }
+    res.end();
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+/**
+ * Start a fake t3.chat upstream on the given port (0 picks a free one)
+ * 
+ * @returns {Promise<{server: http.Server, url: string, close: Function}>} The running server and its base URL
+ */
+export async function startMockT3Server({ port = 0, ...options } = {}) {
+  const server = createMockT3Server(options);
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+// Start the mock when run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startMockT3Server({ port: Number(process.env.MOCK_PORT || 8787) });
+  console.log(`Mock t3.chat upstream running at ${url}`);
+  console.log(`Point the OpenAI server at it with: T3_BASE_URL=${url} npm run start:openai-server`);
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+
+/**
+ * Maps model names sent by OpenAI clients to t3.chat models.
+ * 
+ * Rules are exact names or patterns where `*` matches any text; a `*` in the
+ * target is replaced with the matched text, so `"t3/*": "*"` strips a prefix.
+ * Exact rules win over patterns, and longer patterns over shorter ones.
+ * Per-API-key rules are checked before the global ones.
+ */
+export class ModelAliases {
+  static DEFAULTS = {
+    'gpt-3.5-turbo': 'gemini-2.5-flash-lite',
+    'gpt-4': 'gemini-2.5-flash',
+    'gpt-4-turbo': 'gemini-2.5-flash',
+    'gpt-4o': 'gemini-2.5-flash',
+    'gpt-4o-mini': 'gemini-2.5-flash-lite',
+    'claude-3-sonnet': 'claude-3.5-sonnet',
+    'claude-3-haiku': 'claude-3-haiku',
+    'claude-3-opus': 'claude-3-opus'
+  };
+
+  /**
+   * @param {Object} options - Alias settings
+   * @param {Object} [options.aliases] - Global rules, keyed by alias or pattern
+   * @param {Object} [options.keys] - Rules per API key, checked before the global ones
+   * @param {boolean} [options.defaults] - Include the built-in OpenAI name aliases
+   * @param {boolean} [options.passthrough] - Send names without a rule to t3.chat unchanged
+   */
+  constructor({ aliases = {}, keys = {}, defaults = true, passthrough = true } = {}) {
+    this.global = ModelAliases.compile({ ...(defaults ? ModelAliases.DEFAULTS : {}), ...aliases });
+    this.keys = new Map(Object.entries(keys).map(([apiKey, rules]) => [apiKey, ModelAliases.compile(rules)]));
+    this.passthrough = passthrough;
+  }
+
+  /**
+   * Loads alias settings from a JSON file and/or inline `alias=target` pairs.
+   * 
+   * @param {Object} sources - Where to read the settings
+   * @param {string} [sources.file] - JSON file shaped like the constructor options
+   * @param {string} [sources.inline] - Comma-separated `alias=target` pairs added to the global rules
+   * @returns {ModelAliases} The aliases
+   */
+  static load({ file = null, inline = null } = {}) {
+    const options = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    return new ModelAliases({
+      ...options,
+      aliases: { ...(options.aliases || {}), ...ModelAliases.parseInline(inline) }
+    });
+  }
+
+  /**
+   * Parses `alias=target` pairs separated by commas.
+   * 
+   * @param {string|null} text - The pairs, e.g. 'gpt-4o=claude-4-sonnet,gpt-*=gemini-2.5-flash'
+   * @returns {Object} The rules keyed by alias
+   */
+  static parseInline(text) {
+    const rules = {};
+    for (const pair of (text || '').split(',')) {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        rules[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Resolves a requested model name to a t3.chat model.
+   * 
+   * @param {string} model - The requested model name
+   * @param {string|null} apiKey - The API key of the request, for per-key rules
+   * @returns {{model: string, alias: string|null}} The t3.chat model and the rule that matched, if any
+   */
+  resolve(model, apiKey = null) {
+    const ruleSets = [this.keys.get(apiKey), this.global].filter(Boolean);
+
+    for (const rules of ruleSets) {
+      if (rules.exact.has(model)) {
+        return { model: rules.exact.get(model), alias: model };
+      }
+      for (const rule of rules.patterns) {
+        const match = rule.regex.exec(model);
+        if (match) {
+          return { model: rule.target.split('*').join(match[1]), alias: rule.pattern };
+        }
+      }
+    }
+    return { model, alias: null };
+  }
+
+  /**
+   * Lists the exact aliases for an API key, with per-key rules replacing global ones.
+   * 
+   * @param {string|null} apiKey - The API key, or null for the global aliases only
+   * @returns {Object} The t3.chat model keyed by alias
+   */
+  list(apiKey = null) {
+    const keyRules = this.keys.get(apiKey);
+    return {
+      ...Object.fromEntries(this.global.exact),
+      ...(keyRules ? Object.fromEntries(keyRules.exact) : {})
+    };
+  }
+
+  static compile(rules) {
+    const exact = new Map();
+    const patterns = [];
+
+    for (const [pattern, target] of Object.entries(rules)) {
+      if (!pattern.includes('*')) {
+        exact.set(pattern, target);
+        continue;
+      }
+      // Only the first * is captured for the target
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+      patterns.push({
+        pattern,
+        target,
+        regex: new RegExp(`^${source[0]}(.*)${source.slice(1).join('.*')}$`),
+        specificity: pattern.replace(/\*/g, '').length
+      });
+    }
+
+    patterns.sort((a, b) => b.specificity - a.specificity);
+    return { exact, patterns };
+  }
+}
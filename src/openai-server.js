@@ -1,9 +1,31 @@
 import 'dotenv/config';
+import fs from 'fs';
+import { timingSafeEqual } from 'crypto';
+import { pathToFileURL } from 'url';
 import express from 'express';
 import cors from 'cors';
 import { Client } from './t3/client.js';
-import { Message, MessageType } from './t3/message.js';
+import { Message, MessageType, ContentType } from './t3/message.js';
 import { Config } from './t3/config.js';
+import { FetchTransport } from './t3/transport.js';
+import { ModelRegistry, ModelCapability } from './t3/models.js';
+import { TokenCounter } from './t3/tokens.js';
+import { ModelAliases } from './model-aliases.js';
+import { ApiKeyStore } from './api-keys.js';
+import { RateLimiter } from './rate-limits.js';
+import { UsageLedger } from './usage.js';
+import { ToolCallParser } from './tools.js';
+import {
+  T3Error,
+  AuthenticationError,
+  RateLimitError,
+  InvalidModelError,
+  UnsupportedCapabilityError,
+  StructuredOutputError,
+  UpstreamError,
+  NetworkError,
+  TimeoutError
+} from './t3/errors.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,59 +34,431 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// Store active clients by API key or session
+// Store active clients by credential profile or session; requests never share conversation state
 const clients = new Map();
 
+// Server-issued API keys; without API_KEYS_FILE the bearer token carries the credentials
+const apiKeys = process.env.API_KEYS_FILE ? await ApiKeyStore.load(process.env.API_KEYS_FILE) : null;
+
+// Named t3.chat credentials that API keys map to; 'default' falls back to the env credentials
+const credentialProfiles = loadCredentialProfiles(process.env.CREDENTIALS_FILE);
+
+// Per-key preference defaults, keyed by API key name with 'default' as fallback
+const keyDefaults = loadKeyDefaults(process.env.PREFERENCES_FILE);
+
+// Known t3.chat models and capabilities, from MODEL_CATALOG or the bundled catalog
+const modelRegistry = process.env.MODEL_CATALOG
+  ? await ModelRegistry.fromFile(process.env.MODEL_CATALOG)
+  : ModelRegistry.default();
+let modelsRefreshed = false;
+
+// Model aliases from MODEL_ALIASES_FILE and MODEL_ALIASES, on top of the built-in OpenAI names
+const modelAliases = ModelAliases.load({
+  file: process.env.MODEL_ALIASES_FILE,
+  inline: process.env.MODEL_ALIASES
+});
+
+// Per-key request limits from RATE_LIMITS_FILE, keyed by API key name with 'default' as fallback
+const rateLimiter = RateLimiter.load(process.env.RATE_LIMITS_FILE);
+
+// Token usage per day, key and model, kept in USAGE_FILE or in memory
+const usageLedger = await UsageLedger.load(process.env.USAGE_FILE);
+
+// Listed as the creation time of models in /v1/models
+const startedAt = Math.floor(Date.now() / 1000);
+
+/**
+ * Load credential profiles from a JSON file
+ */
+function loadCredentialProfiles(path) {
+  if (!path) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
 /**
- * Initialize a T3Router client for a given API key/session
+ * Load per-key preference defaults from a JSON file
  */
-async function getOrCreateClient(apiKey = 'default') {
-  if (clients.has(apiKey)) {
-    return clients.get(apiKey);
+function loadKeyDefaults(path) {
+  if (!path) {
+    return {};
   }
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
 
-  let cookies, convexSessionId;
+/**
+ * Build the request config from per-key defaults and request fields
+ */
+function buildConfig(apiKey, body) {
+  const defaults = { ...(keyDefaults.default || {}), ...(keyDefaults[apiKey] || {}) };
+  const requested = body.preferences || {};
+  const pick = (field, camelField) => requested[field] ?? defaults[field] ?? defaults[camelField];
   
-  // Priority 1: Use environment variables if available
-  if (process.env.COOKIES && process.env.CONVEX_SESSION_ID) {
-    cookies = process.env.COOKIES;
-    convexSessionId = process.env.CONVEX_SESSION_ID;
+  return Config.builder()
+    .setName(pick('name') || '')
+    .setOccupation(pick('occupation') || '')
+    .setSelectedTraits(pick('selected_traits', 'selectedTraits') || [])
+    .setAdditionalInfo(pick('additional_info', 'additionalInfo') || '')
+    .setTimezone(body.timezone || defaults.timezone || null)
+    .setMaxTokens(body.max_completion_tokens ?? body.max_tokens ?? null)
+    .setStop(body.stop ?? null)
+    .setTemperature(body.temperature ?? null)
+    .setTopP(body.top_p ?? null)
+    .build();
+}
+
+/**
+ * Get the shared T3Router client for the credentials of an authenticated request.
+ * Concurrent first requests share a single initialization.
+ */
+function getOrCreateClient(auth) {
+  const cacheKey = auth.profile !== null ? `profile:${auth.profile}` : `token:${auth.token}`;
+  if (!clients.has(cacheKey)) {
+    const pending = createClient(auth);
+    clients.set(cacheKey, pending);
+    pending.catch(() => clients.delete(cacheKey));
+    // Sign in again on the next request once the session has expired
+    pending.then(client => client.once('session-expired', () => {
+      if (clients.get(cacheKey) === pending) {
+        clients.delete(cacheKey);
+      }
+    }), () => {});
+  }
+  return clients.get(cacheKey);
+}
+
+/**
+ * Read cookies from a cookie file if it exists (kept up to date with refreshed cookies)
+ */
+function readCookies(cookieFile, cookies) {
+  if (cookieFile && fs.existsSync(cookieFile)) {
+    return fs.readFileSync(cookieFile, 'utf8').trim();
+  }
+  return cookies;
+}
+
+/**
+ * Resolve a credential profile from CREDENTIALS_FILE, or the env credentials for 'default'
+ */
+function getProfileCredentials(name) {
+  const profile = credentialProfiles[name] || (name === 'default' ? {
+    cookies: process.env.COOKIES,
+    convexSessionId: process.env.CONVEX_SESSION_ID,
+    cookieFile: process.env.COOKIES_FILE
+  } : null);
+  
+  if (!profile) {
+    return null;
+  }
+  return {
+    cookies: readCookies(profile.cookieFile, profile.cookies),
+    convexSessionId: profile.convexSessionId,
+    cookieFile: profile.cookieFile
+  };
+}
+
+/**
+ * Initialize a T3Router client for an authenticated request
+ */
+async function createClient(auth) {
+  let cookies, convexSessionId, cookieFile;
+  
+  // Priority 1: Use the credential profile (env variables for 'default')
+  if (auth.profile !== null) {
+    const credentials = getProfileCredentials(auth.profile);
+    if (!credentials) {
+      throw new AuthenticationError(`Credential profile '${auth.profile}' is not configured`);
+    }
+    ({ cookies, convexSessionId, cookieFile } = credentials);
   }
   // Priority 2: Parse from API key if env vars not available
-  else if (apiKey && apiKey !== 'default' && apiKey.includes(':')) {
-    const parts = apiKey.split(':');
+  else if (auth.token && auth.token.includes(':')) {
+    const parts = auth.token.split(':');
     cookies = parts[0];
     convexSessionId = parts[1];
   }
   else {
-    throw new Error('No credentials available. Either set COOKIES and CONVEX_SESSION_ID environment variables or provide API key in format: cookies:convexSessionId');
+    throw new AuthenticationError('No credentials available. Either set COOKIES and CONVEX_SESSION_ID environment variables or provide API key in format: cookies:convexSessionId');
   }
 
   if (!cookies || !convexSessionId) {
-    throw new Error('Invalid credentials. Ensure COOKIES and CONVEX_SESSION_ID are properly set.');
+    throw new AuthenticationError('Invalid credentials. Ensure COOKIES and CONVEX_SESSION_ID are properly set.');
   }
 
-  const client = new Client(cookies, convexSessionId);
-  const initSuccess = await client.init();
+  // T3_BASE_URL points the server at a stand-in upstream such as the bundled mock
+  const transport = process.env.T3_BASE_URL
+    ? new FetchTransport({ baseUrl: process.env.T3_BASE_URL })
+    : undefined;
+  const client = new Client(cookies, convexSessionId, { transport, cookieFile });
+  // Throws AuthenticationError if the session is not signed in
+  await client.init();
   
-  if (!initSuccess) {
-    throw new Error('Failed to initialize T3Router client');
+  if (process.env.REFRESH_MODELS === 'true') {
+    refreshModels(client);
   }
 
-  clients.set(apiKey, client);
   return client;
 }
 
+/**
+ * Merge the live t3.chat model list into the registry once per server run
+ */
+function refreshModels(client) {
+  if (modelsRefreshed) {
+    return;
+  }
+  modelsRefreshed = true;
+  modelRegistry.refresh(client).catch(error => {
+    modelsRefreshed = false;
+    console.error('Failed to refresh models:', error.message);
+  });
+}
+
+/**
+ * Get the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7); // Remove 'Bearer ' prefix
+  }
+  return null;
+}
+
+/**
+ * Identify the caller of a request.
+ * Returns the key name used for per-key settings, the credential profile the request runs with
+ * and the label usage is recorded under, or null if the request is not authorized.
+ */
+function authenticate(req) {
+  const token = getBearerToken(req);
+  
+  // Server-issued keys: only known, unrevoked keys are accepted
+  if (apiKeys) {
+    const record = apiKeys.verify(token);
+    return record ? { keyName: record.name, profile: record.profile, token: null, label: record.name } : null;
+  }
+  
+  // Legacy keys may contain credentials, so usage is recorded under a hash of the key
+  const label = token ? `key-${ApiKeyStore.hash(token).slice(0, 12)}` : 'default';
+  
+  // Any key may run with the env credentials only if the operator opted in to an open proxy
+  const credentials = getProfileCredentials('default');
+  if (process.env.ALLOW_OPEN_PROXY === 'true' && credentials && credentials.cookies && credentials.convexSessionId) {
+    return { keyName: token || 'default', profile: 'default', token, label };
+  }
+  // Otherwise the key itself must carry cookies:convexSessionId
+  return token && token.includes(':') ? { keyName: token, profile: null, token, label } : null;
+}
+
+/**
+ * Middleware that rejects unauthorized requests and sets req.auth
+ */
+function requireApiKey(req, res, next) {
+  const auth = authenticate(req);
+  if (!auth) {
+    return sendUnauthorizedError(req, res);
+  }
+  req.auth = auth;
+  next();
+}
+
+/**
+ * Respond with the OpenAI error for a missing or unknown API key
+ */
+function sendUnauthorizedError(req, res) {
+  const token = getBearerToken(req);
+  return token ? sendInvalidApiKeyError(res, token) : sendMissingApiKeyError(res);
+}
+
+/**
+ * Respond with the OpenAI error for a missing API key
+ */
+function sendMissingApiKeyError(res) {
+  return res.status(401).json({
+    error: {
+      message: apiKeys
+        ? 'You didn\'t provide an API key. Provide it in the Authorization header as Bearer YOUR_KEY'
+        : 'Authorization header required when COOKIES and CONVEX_SESSION_ID environment variables are not set',
+      type: 'invalid_request_error',
+      code: 'invalid_api_key'
+    }
+  });
+}
+
+/**
+ * Respond with the OpenAI error for an unknown or revoked API key
+ */
+function sendInvalidApiKeyError(res, token) {
+  const hint = token.length > 8 ? `${token.slice(0, 6)}...${token.slice(-4)}` : '***';
+  return res.status(401).json({
+    error: {
+      message: `Incorrect API key provided: ${hint}`,
+      type: 'invalid_request_error',
+      code: 'invalid_api_key'
+    }
+  });
+}
+
+/**
+ * Map a client error to the OpenAI error status and body.
+ * A rejected t3.chat session only blames the API key when the key carries the credentials.
+ */
+function toOpenAIError(error, auth = null) {
+  const openaiError = (status, type, code) => ({
+    status,
+    body: {
+      error: {
+        message: error.message,
+        type,
+        code,
+        ...(error instanceof T3Error && error.status ? { upstream_status: error.status } : {})
+      }
+    }
+  });
+  
+  if (error instanceof AuthenticationError) {
+    return auth && auth.profile !== null
+      ? openaiError(502, 'api_error', 'upstream_authentication_error')
+      : openaiError(401, 'authentication_error', 'invalid_api_key');
+  }
+  if (error instanceof RateLimitError) {
+    return error.quota
+      ? openaiError(429, 'insufficient_quota', 'insufficient_quota')
+      : openaiError(429, 'requests', 'rate_limit_exceeded');
+  }
+  if (error instanceof InvalidModelError) {
+    return openaiError(404, 'invalid_request_error', 'model_not_found');
+  }
+  if (error instanceof UnsupportedCapabilityError) {
+    return openaiError(400, 'invalid_request_error', 'unsupported_capability');
+  }
+  if (error instanceof StructuredOutputError) {
+    return openaiError(502, 'api_error', 'invalid_structured_output');
+  }
+  if (error instanceof TimeoutError) {
+    return openaiError(504, 'api_error', 'timeout');
+  }
+  if (error instanceof NetworkError) {
+    return openaiError(502, 'api_error', 'network_error');
+  }
+  if (error instanceof UpstreamError) {
+    return openaiError(502, 'api_error', 'upstream_error');
+  }
+  return openaiError(500, 'internal_server_error', 'internal_error');
+}
+
+/**
+ * Respond with the OpenAI error matching a client error
+ */
+function sendOpenAIError(res, error, auth = null) {
+  const { status, body } = toOpenAIError(error, auth);
+  if (error instanceof RateLimitError && error.retryAfter !== null) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * Respond with a 400 error for an invalid request field
+ */
+function sendInvalidRequestError(res, message, param, code) {
+  return res.status(400).json({
+    error: {
+      message,
+      type: 'invalid_request_error',
+      param,
+      code
+    }
+  });
+}
+
+/**
+ * Check the response_format field; returns a description of the problem or null
+ */
+function validateResponseFormat(responseFormat) {
+  const type = responseFormat && responseFormat.type;
+  // null asks for the default, like an omitted field
+  if (responseFormat == null || type === 'text' || type === 'json_object') {
+    return null;
+  }
+  if (type !== 'json_schema') {
+    return `Invalid response_format type: ${type}. Expected 'text', 'json_object' or 'json_schema'`;
+  }
+  const jsonSchema = responseFormat.json_schema;
+  if (!jsonSchema || !jsonSchema.schema || typeof jsonSchema.schema !== 'object') {
+    return 'response_format.json_schema.schema must be a JSON schema object';
+  }
+  return null;
+}
+
+/**
+ * Check the choice count, output limits and sampling fields; returns the invalid field and its problem, or null
+ */
+function validateGenerationParams(body) {
+  for (const param of ['max_tokens', 'max_completion_tokens']) {
+    const value = body[param];
+    if (value != null && (!Number.isInteger(value) || value < 1)) {
+      return { param, message: `${param} must be a positive integer` };
+    }
+  }
+  const { stop } = body;
+  if (stop != null && typeof stop !== 'string'
+      && !(Array.isArray(stop) && stop.length <= 4 && stop.every(sequence => typeof sequence === 'string'))) {
+    return { param: 'stop', message: 'stop must be a string or an array of up to 4 strings' };
+  }
+  const maxChoices = Number(process.env.MAX_CHOICES || 4);
+  if (body.n != null && (!Number.isInteger(body.n) || body.n < 1 || body.n > maxChoices)) {
+    return { param: 'n', message: `n must be an integer between 1 and ${maxChoices}` };
+  }
+  const ranges = { temperature: 2, top_p: 1 };
+  for (const [param, max] of Object.entries(ranges)) {
+    const value = body[param];
+    if (value != null && (typeof value !== 'number' || value < 0 || value > max)) {
+      return { param, message: `${param} must be a number between 0 and ${max}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the StructuredOutput settings for a response_format, or null for plain text
+ */
+function getStructuredOutputOptions(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') {
+    return null;
+  }
+  const maxRepairs = Number(process.env.STRUCTURED_OUTPUT_REPAIRS || 2);
+  if (responseFormat.type === 'json_object') {
+    return { schema: null, maxRepairs };
+  }
+  const { schema, name = 'response', strict = false } = responseFormat.json_schema;
+  return { schema, name, strict: strict === true, maxRepairs };
+}
+
 /**
  * Convert OpenAI messages format to T3Router messages format
  */
 function convertOpenAIMessagesToT3(openaiMessages) {
+  // Tool results only carry the call ID, so look up the name of the called tool
+  const toolNames = new Map();
+  for (const msg of openaiMessages) {
+    for (const call of msg.tool_calls || []) {
+      toolNames.set(call.id, call.function && call.function.name);
+    }
+  }
+  
   return openaiMessages.map(msg => {
-    const role = msg.role === 'system' ? MessageType.USER : 
+    // System and developer instructions are sent as custom instructions, not as chat turns
+    const role = msg.role === 'system' || msg.role === 'developer' ? MessageType.SYSTEM : 
                 msg.role === 'user' ? MessageType.USER : 
+                msg.role === 'tool' ? MessageType.USER : 
                 MessageType.ASSISTANT;
     
     let content = '';
+    const attachments = [];
     if (typeof msg.content === 'string') {
       content = msg.content;
     } else if (Array.isArray(msg.content)) {
@@ -73,73 +467,261 @@ function convertOpenAIMessagesToT3(openaiMessages) {
         .filter(part => part.type === 'text')
         .map(part => part.text)
         .join('\n');
+      for (const part of msg.content) {
+        const attachment = convertContentPartToAttachment(part);
+        if (attachment) attachments.push(attachment);
+      }
+    }
+    
+    // Tool calls and results are written in the tag format the model is instructed to use
+    if (msg.role === 'tool') {
+      content = ToolCallParser.formatToolResult(content, msg.tool_call_id, toolNames.get(msg.tool_call_id));
+    }
+    if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      content = [content, ToolCallParser.formatToolCalls(msg.tool_calls)].filter(Boolean).join('\n');
     }
     
-    return Message.new(role, content);
+    const message = Message.new(role, content);
+    attachments.forEach(attachment => message.attach(attachment));
+    return message;
   });
 }
 
 /**
- * Convert T3Router model names to OpenAI-compatible names
+ * Convert an OpenAI image_url or file content part to a T3Router attachment
  */
-function mapModelName(openaiModel) {
-  const modelMap = {
-    'gpt-3.5-turbo': 'gemini-2.5-flash-lite',
-    'gpt-4': 'gemini-2.5-flash',
-    'gpt-4-turbo': 'gemini-2.5-flash',
-    'gpt-4o': 'gemini-2.5-flash',
-    'gpt-4o-mini': 'gemini-2.5-flash-lite',
-    'claude-3-sonnet': 'claude-3.5-sonnet',
-    'claude-3-haiku': 'claude-3-haiku',
-    'claude-3-opus': 'claude-3-opus'
+function convertContentPartToAttachment(part) {
+  if (part.type === 'image_url' && part.image_url) {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+    const dataUrl = parseDataUrl(url);
+    return dataUrl
+      ? ContentType.image(null, dataUrl.base64, dataUrl.mimeType)
+      : ContentType.image(url);
+  }
+  
+  if (part.type === 'file' && part.file) {
+    const dataUrl = parseDataUrl(part.file.file_data);
+    if (!dataUrl) return null;
+    return ContentType.file(part.file.filename || 'document', dataUrl.mimeType, null, dataUrl.base64);
+  }
+  
+  return null;
+}
+
+/**
+ * Split a base64 data URL into its mime type and payload
+ */
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1], base64: match[2] } : null;
+}
+
+/**
+ * Map a requested model name to the t3.chat model using the alias rules for the API key
+ */
+function mapModelName(openaiModel, apiKey = null) {
+  const { model, alias } = modelAliases.resolve(openaiModel, apiKey);
+  if (!alias && !modelAliases.passthrough && !modelRegistry.has(model)) {
+    throw new InvalidModelError(`The model '${openaiModel}' does not exist`);
+  }
+  return model;
+}
+
+/**
+ * Map a t3.chat finish reason to the OpenAI one; parsed tool calls take precedence
+ */
+function toFinishReason(reason, hasToolCalls = false) {
+  if (hasToolCalls) {
+    return 'tool_calls';
+  }
+  return reason === 'length' ? 'length' : reason === 'content-filter' ? 'content_filter' : 'stop';
+}
+
+/**
+ * Build a chat.completion.chunk object for a streaming response
+ */
+function createCompletionChunk(id, created, model, delta, finishReason = null, index = 0) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{
+      index,
+      delta,
+      finish_reason: finishReason
+    }]
+  };
+}
+
+/**
+ * Build the final chunk carrying usage, sent when stream_options.include_usage is set
+ */
+function createUsageChunk(id, created, model, usage) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [],
+    usage
   };
+}
+
+/**
+ * Estimate the usage of the choices of a completion and add it to the ledger; the prompt is counted once.
+ * Failing to save the ledger is logged rather than failing the finished completion.
+ */
+async function recordUsage(auth, t3Model, messages, completions) {
+  const usages = await Promise.all(completions.map(({ content, reasoning }) => TokenCounter.usage({ model: t3Model, messages, content, reasoning })));
+  const completionTokens = usages.reduce((sum, usage) => sum + usage.completion_tokens, 0);
+  const usage = {
+    prompt_tokens: usages[0].prompt_tokens,
+    completion_tokens: completionTokens,
+    total_tokens: usages[0].prompt_tokens + completionTokens,
+    completion_tokens_details: {
+      reasoning_tokens: usages.reduce((sum, usage) => sum + usage.completion_tokens_details.reasoning_tokens, 0)
+    }
+  };
+  usageLedger.record({
+    key: auth.label,
+    model: t3Model,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens
+  }).catch(error => console.error('Failed to save usage:', error.message));
+  return usage;
+}
+
+/**
+ * Get a JSON reply as sendStream chunks; nothing is sent until the reply is valid
+ */
+async function* streamStructured(conversation, { schema, ...options }, signal) {
+  const { data, message } = await conversation.sendStructured(schema, null, { ...options, signal });
+  const text = JSON.stringify(data);
+  
+  if (message.getReasoning()) {
+    yield { type: 'reasoning', text: message.getReasoning(), chunk: '', complete: false };
+  }
+  yield { type: 'text', text, chunk: text, complete: false };
+  yield { type: 'done', chunk: '', complete: true, fullMessage: message, finishReason: message.getFinishReason() };
+}
+
+/**
+ * Interleave the chunks of several streams as {index, chunk} in arrival order
+ */
+async function* mergeStreams(streams) {
+  const iterators = streams.map(stream => stream[Symbol.asyncIterator]());
+  const next = index => iterators[index].next().then(result => ({ index, result }));
+  const pending = new Map(iterators.map((iterator, index) => [index, next(index)]));
   
-  return modelMap[openaiModel] || openaiModel;
+  try {
+    while (pending.size > 0) {
+      const { index, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(index);
+      } else {
+        pending.set(index, next(index));
+        yield { index, chunk: result.value };
+      }
+    }
+  } finally {
+    // Close the other streams when one fails or the consumer stops early
+    for (const [index, promise] of pending) {
+      promise.catch(() => {});
+      iterators[index].return().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Frame a payload as a server-sent event; strings such as [DONE] are sent as is
+ */
+function formatSSE(data) {
+  return `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
 }
 
 /**
  * OpenAI Chat Completions endpoint
  */
-app.post('/v1/chat/completions', async (req, res) => {
+app.post('/v1/chat/completions', requireApiKey, async (req, res) => {
   try {
-    const { messages, model, stream = false, temperature, max_tokens, ...otherParams } = req.body;
+    const { messages, model, stream = false, parallel_tool_calls, response_format } = req.body;
+    // null asks for the default, like an omitted field
+    const n = req.body.n ?? 1;
+    const tools = req.body.tools ?? undefined;
+    const tool_choice = req.body.tool_choice ?? undefined;
+    const { keyName } = req.auth;
     
-    // Get API key from Authorization header (optional if env vars are set)
-    let apiKey = 'default';
-    const authHeader = req.headers.authorization;
-    
-    // If environment variables are not set, require Authorization header
-    if (!process.env.COOKIES || !process.env.CONVEX_SESSION_ID) {
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({
-          error: {
-            message: 'Authorization header required when COOKIES and CONVEX_SESSION_ID environment variables are not set',
-            type: 'invalid_request_error',
-            code: 'invalid_api_key'
-          }
-        });
+    if (typeof model !== 'string' || !model) {
+      return sendInvalidRequestError(res, 'model is required and must be a string', 'model', 'invalid_value');
+    }
+    if (!Array.isArray(messages)) {
+      return sendInvalidRequestError(res, 'messages is required and must be an array', 'messages', 'invalid_value');
+    }
+    if (tools !== undefined) {
+      const problem = ToolCallParser.validate(tools, tool_choice);
+      if (problem) {
+        return sendInvalidRequestError(res, problem, 'tools', 'invalid_tools');
       }
-      apiKey = authHeader.substring(7); // Remove 'Bearer ' prefix
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      // Use provided API key if available, even when env vars are set
-      apiKey = authHeader.substring(7);
+    }
+    // max_tokens and stop are enforced by cutting the response; sampling fields are forwarded
+    const generationProblem = validateGenerationParams(req.body);
+    if (generationProblem) {
+      return sendInvalidRequestError(res, generationProblem.message, generationProblem.param, 'invalid_value');
+    }
+    const responseFormatProblem = validateResponseFormat(response_format);
+    if (responseFormatProblem) {
+      return sendInvalidRequestError(res, responseFormatProblem, 'response_format', 'invalid_response_format');
     }
     
-    // Get or create T3Router client
-    const client = await getOrCreateClient(apiKey);
+    // Describe the tools in an instruction message; their calls are parsed out of the reply
+    const toolsEnabled = Array.isArray(tools) && tools.length > 0 && tool_choice !== 'none';
+    // JSON replies are requested with instructions, then validated and repaired if needed
+    const structuredOptions = getStructuredOutputOptions(response_format);
+    if (toolsEnabled && structuredOptions) {
+      return sendInvalidRequestError(res, 'response_format cannot be combined with tools', 'response_format', 'invalid_response_format');
+    }
+    
+    const promptMessages = toolsEnabled
+      ? [{ role: 'system', content: ToolCallParser.instructions(tools, { toolChoice: tool_choice, parallel: parallel_tool_calls !== false }) }, ...messages]
+      : messages;
     
     // Convert OpenAI messages to T3Router format
-    const t3Messages = convertOpenAIMessagesToT3(messages);
+    const t3Messages = convertOpenAIMessagesToT3(promptMessages);
     
-    // Map model name
-    const t3Model = mapModelName(model);
+    // Map model name and tell the client which t3.chat model serves the request
+    const t3Model = mapModelName(model, keyName);
+    res.setHeader('X-T3-Model', t3Model);
     
-    // Create config
-    const config = new Config();
+    // Create config from per-key defaults and request fields
+    const config = buildConfig(keyName, req.body);
     
-    // Start new conversation and add messages
-    client.newConversation();
-    t3Messages.forEach(msg => client.appendMessage(msg));
+    // Reject requests the model cannot serve, e.g. images for a model without vision
+    modelRegistry.validateRequest(t3Model, t3Messages, config);
+    
+    // Enforce per-key limits before using the shared t3.chat account; each choice is its own generation
+    rateLimiter.checkModel(keyName, model, t3Model);
+    let release;
+    try {
+      release = rateLimiter.acquire(keyName, { count: n, stream });
+    } finally {
+      res.set(rateLimiter.headers(keyName));
+    }
+    res.once('close', release);
+    
+    // Abort the upstream request if the HTTP client disconnects early
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    
+    // Get or create T3Router client, only once the request is within its limits
+    const client = await getOrCreateClient(req.auth);
+    
+    // Isolated conversation per choice, each generated on its own thread with the authenticated session
+    const conversations = Array.from({ length: n }, () => client.createConversation({ model: t3Model, config, messages: t3Messages }));
     
     if (stream) {
       // Real-time streaming response using sendStream
@@ -151,193 +733,446 @@ app.post('/v1/chat/completions', async (req, res) => {
       
       const chatId = `chatcmpl-${Date.now()}`;
       const created = Math.floor(Date.now() / 1000);
+      const includeUsage = Boolean(req.body.stream_options && req.body.stream_options.include_usage);
+      // Text, reasoning and tool call parser of each choice
+      const choices = conversations.map(() => ({
+        content: '',
+        reasoning: '',
+        parser: toolsEnabled ? new ToolCallParser(tools) : null
+      }));
+      
+      // Send parsed text and tool calls; each call is sent as its name followed by its arguments
+      const sendParsed = (index, events) => {
+        for (const event of events) {
+          if (event.type === 'content') {
+            res.write(formatSSE(createCompletionChunk(chatId, created, model, { content: event.text }, null, index)));
+            continue;
+          }
+          const { id, type, function: { name, arguments: args } } = event.toolCall;
+          res.write(formatSSE(createCompletionChunk(chatId, created, model, {
+            tool_calls: [{ index: event.index, id, type, function: { name, arguments: '' } }]
+          }, null, index)));
+          res.write(formatSSE(createCompletionChunk(chatId, created, model, {
+            tool_calls: [{ index: event.index, function: { arguments: args } }]
+          }, null, index)));
+        }
+      };
       
       try {
-        // Send initial chunk with role
-        const initialChunk = {
-          id: chatId,
-          object: 'chat.completion.chunk',
-          created: created,
-          model: model,
-          choices: [{
-            index: 0,
-            delta: {
-              role: 'assistant'
-            },
-            finish_reason: null
-          }]
-        };
-        res.write(`data: ${JSON.stringify(initialChunk)}\n\n`);
+        // Send initial chunk with role for every choice
+        choices.forEach((choice, index) => {
+          res.write(formatSSE(createCompletionChunk(chatId, created, model, { role: 'assistant' }, null, index)));
+        });
         
-        // Stream the response
-        for await (const chunk of client.sendStream(t3Model, null, config)) {
+        // Stream the responses, interleaving the chunks of all choices
+        const streams = conversations.map(conversation => structuredOptions
+          ? streamStructured(conversation, structuredOptions, controller.signal)
+          : conversation.sendStream(null, { signal: controller.signal }));
+        for await (const { index, chunk } of mergeStreams(streams)) {
+          const choice = choices[index];
           if (chunk.complete) {
-            // Send final chunk
-            const finalChunk = {
-              id: chatId,
-              object: 'chat.completion.chunk',
-              created: created,
-              model: model,
-              choices: [{
-                index: 0,
-                delta: {},
-                finish_reason: 'stop'
-              }]
-            };
-            res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
-            res.write('data: [DONE]\n\n');
-            res.end();
-            break;
-          } else if (chunk.chunk) {
-            // Send content chunk
-            const contentChunk = {
-              id: chatId,
-              object: 'chat.completion.chunk',
-              created: created,
-              model: model,
-              choices: [{
-                index: 0,
-                delta: {
-                  content: chunk.chunk
-                },
-                finish_reason: null
-              }]
-            };
-            res.write(`data: ${JSON.stringify(contentChunk)}\n\n`);
+            // Send final chunk of this choice
+            if (choice.parser) {
+              sendParsed(index, choice.parser.end());
+            }
+            const finishReason = toFinishReason(chunk.finishReason, choice.parser && choice.parser.toolCalls.length > 0);
+            res.write(formatSSE(createCompletionChunk(chatId, created, model, {}, finishReason, index)));
+          } else if (chunk.type === 'reasoning' && chunk.text) {
+            // Send reasoning chunk separately from the answer
+            choice.reasoning += chunk.text;
+            res.write(formatSSE(createCompletionChunk(chatId, created, model, { reasoning_content: chunk.text }, null, index)));
+          } else if (chunk.chunk || chunk.type === 'image') {
+            // Send content chunk (generated images are sent as their URL)
+            const text = chunk.type === 'image' ? chunk.url : chunk.chunk;
+            choice.content += text;
+            if (choice.parser && chunk.type !== 'image') {
+              sendParsed(index, choice.parser.push(text));
+            } else {
+              res.write(formatSSE(createCompletionChunk(chatId, created, model, { content: text }, null, index)));
+            }
           }
         }
+        
+        // Once every choice has finished, send the usage chunk if requested
+        const usage = await recordUsage(req.auth, t3Model, promptMessages, choices);
+        if (includeUsage) {
+          res.write(formatSSE(createUsageChunk(chatId, created, model, usage)));
+        }
+        res.write(formatSSE('[DONE]'));
+        res.end();
       } catch (streamError) {
+        // t3.chat has generated the partial answers even though the stream did not finish
+        recordUsage(req.auth, t3Model, promptMessages, choices)
+          .catch(error => console.error('Failed to record usage:', error.message));
+        if (controller.signal.aborted) {
+          return;
+        }
+        // Stop the other choices once one has failed
+        controller.abort();
         console.error('Streaming error:', streamError);
-        res.write(`data: {"error": "${streamError.message}"}\n\n`);
-        res.write('data: [DONE]\n\n');
+        res.write(formatSSE(toOpenAIError(streamError, req.auth).body));
+        res.write(formatSSE('[DONE]'));
         res.end();
       }
     } else {
-      // Send the last message and get response
-      const response = await client.send(t3Model, null, config);
+      // Send the last message of every choice and wait for all responses
+      const generate = async (conversation) => {
+        if (structuredOptions) {
+          const { schema, ...options } = structuredOptions;
+          const result = await conversation.sendStructured(schema, null, { ...options, signal: controller.signal });
+          return { response: result.message, content: JSON.stringify(result.data) };
+        }
+        const response = await conversation.send(null, { signal: controller.signal });
+        return { response, content: response.contentType.getText() || response.content };
+      };
+      let results;
+      try {
+        results = await Promise.all(conversations.map(generate));
+      } catch (error) {
+        // Stop the other choices once one has failed
+        controller.abort();
+        throw error;
+      }
+      
       // Non-streaming response
+      const choices = results.map(({ response, content }, index) => {
+        const { content: text, toolCalls } = toolsEnabled
+          ? ToolCallParser.parse(content, tools)
+          : { content, toolCalls: [] };
+        const responseMessage = {
+          role: 'assistant',
+          content: toolCalls.length > 0 && !text ? null : text
+        };
+        if (toolCalls.length > 0) {
+          responseMessage.tool_calls = toolCalls;
+        }
+        if (response.getReasoning()) {
+          responseMessage.reasoning_content = response.getReasoning();
+        }
+        return {
+          index,
+          message: responseMessage,
+          finish_reason: toFinishReason(response.getFinishReason(), toolCalls.length > 0)
+        };
+      });
+      
       const openaiResponse = {
         id: `chatcmpl-${Date.now()}`,
         object: 'chat.completion',
         created: Math.floor(Date.now() / 1000),
         model: model,
-        choices: [{
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: response.contentType.getText() || response.content
-          },
-          finish_reason: 'stop'
-        }],
-        usage: {
-          prompt_tokens: messages.reduce((acc, msg) => acc + (typeof msg.content === 'string' ? msg.content.length : 0), 0) / 4,
-          completion_tokens: (response.contentType.getText() || response.content).length / 4,
-          total_tokens: 0
-        }
+        t3_model: t3Model,
+        choices,
+        usage: await recordUsage(req.auth, t3Model, promptMessages, results.map(({ response, content }) => ({
+          content,
+          reasoning: response.getReasoning() || ''
+        })))
       };
       
-      openaiResponse.usage.total_tokens = openaiResponse.usage.prompt_tokens + openaiResponse.usage.completion_tokens;
-      
       res.json(openaiResponse);
     }
     
   } catch (error) {
+    if (res.headersSent || res.destroyed) {
+      return;
+    }
     console.error('Error in chat completions:', error);
-    res.status(500).json({
-      error: {
-        message: error.message,
-        type: 'internal_server_error',
-        code: 'internal_error'
+    sendOpenAIError(res, error, req.auth);
+  }
+});
+
+/**
+ * Map OpenAI image model names to image-capable T3Router models; alias rules win over the DALL-E names
+ */
+function mapImageModelName(openaiModel, apiKey = null) {
+  const imageModel = process.env.IMAGE_MODEL || 'gpt-image-1';
+  if (!openaiModel) {
+    return imageModel;
+  }
+  const { model, alias } = modelAliases.resolve(openaiModel, apiKey);
+  if (!alias && (model === 'dall-e-2' || model === 'dall-e-3')) {
+    return imageModel;
+  }
+  return model;
+}
+
+/**
+ * OpenAI Image Generations endpoint
+ */
+app.post('/v1/images/generations', requireApiKey, async (req, res) => {
+  try {
+    const { prompt, model, response_format = 'url' } = req.body;
+    const n = req.body.n ?? 1;
+    
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({
+        error: {
+          message: 'prompt is required',
+          type: 'invalid_request_error',
+          code: 'invalid_prompt'
+        }
+      });
+    }
+    
+    if (response_format !== 'url' && response_format !== 'b64_json') {
+      return res.status(400).json({
+        error: {
+          message: `Invalid response_format: ${response_format}. Expected 'url' or 'b64_json'`,
+          type: 'invalid_request_error',
+          code: 'invalid_response_format'
+        }
+      });
+    }
+    
+    // Images are generated one after another, so cap how many one request can ask for
+    const maxImages = Number(process.env.MAX_IMAGES || 4);
+    if (!Number.isInteger(n) || n < 1 || n > maxImages) {
+      return sendInvalidRequestError(res, `n must be an integer between 1 and ${maxImages}`, 'n', 'invalid_value');
+    }
+    
+    const { keyName } = req.auth;
+    const t3Model = mapImageModelName(model, keyName);
+    modelRegistry.require(t3Model, ModelCapability.IMAGE_GENERATION);
+    res.setHeader('X-T3-Model', t3Model);
+    
+    // Enforce per-key limits before using the shared t3.chat account; each image is its own generation
+    rateLimiter.checkModel(keyName, model ?? t3Model, t3Model);
+    let release;
+    try {
+      release = rateLimiter.acquire(keyName, { count: n, stream: false });
+    } finally {
+      res.set(rateLimiter.headers(keyName));
+    }
+    res.once('close', release);
+    
+    // Stop generating if the HTTP client disconnects early
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    
+    const client = await getOrCreateClient(req.auth);
+    const config = buildConfig(keyName, req.body);
+    const data = [];
+    
+    // Each image is generated in its own conversation
+    for (let i = 0; i < n; i++) {
+      const conversation = client.createConversation({ model: t3Model, config });
+      const response = await conversation.send(Message.new(MessageType.USER, prompt), { signal: controller.signal });
+      
+      if (!response.contentType.isImage()) {
+        return res.status(502).json({
+          error: {
+            message: `Model ${t3Model} did not return an image`,
+            type: 'upstream_error',
+            code: 'no_image_generated'
+          }
+        });
+      }
+      
+      if (response_format === 'b64_json') {
+        await client.downloadImage(response);
+        data.push({ b64_json: response.contentType.getImageBase64() });
+      } else {
+        data.push({ url: response.contentType.getImageUrl() });
       }
+    }
+    
+    res.json({
+      created: Math.floor(Date.now() / 1000),
+      t3_model: t3Model,
+      data
     });
+    
+  } catch (error) {
+    if (res.headersSent || res.destroyed) {
+      return;
+    }
+    console.error('Error in image generations:', error);
+    sendOpenAIError(res, error, req.auth);
   }
 });
 
+/**
+ * Describe a t3.chat model in the OpenAI model object format
+ */
+function toOpenAIModel(id, info, root = id) {
+  return {
+    id,
+    object: 'model',
+    created: startedAt,
+    owned_by: info ? info.provider : 't3router',
+    permission: [],
+    root,
+    parent: null,
+    ...(info ? {
+      name: info.name,
+      context_window: info.contextWindow,
+      capabilities: {
+        vision: info.capabilities.vision,
+        image_generation: info.capabilities.imageGeneration,
+        reasoning_effort: info.capabilities.reasoningEffort,
+        search: info.capabilities.search
+      }
+    } : {})
+  };
+}
+
+/**
+ * List the registry models followed by the exact aliases for the API key
+ */
+function listOpenAIModels(apiKey = null) {
+  const aliasMap = modelAliases.list(apiKey);
+  const models = modelRegistry.list().map(info => toOpenAIModel(info.id, info));
+  const aliases = Object.entries(aliasMap)
+    .map(([alias, target]) => toOpenAIModel(alias, modelRegistry.get(target), target));
+  
+  // An alias shadows the registry model of the same name
+  return [...models.filter(model => !(model.id in aliasMap)), ...aliases];
+}
+
 /**
  * OpenAI Models endpoint
  */
 app.get('/v1/models', (req, res) => {
-  const models = [
-    {
-      id: 'gpt-3.5-turbo',
-      object: 'model',
-      created: 1677610602,
-      owned_by: 't3router',
-      permission: [],
-      root: 'gpt-3.5-turbo',
-      parent: null
-    },
-    {
-      id: 'gpt-4',
-      object: 'model',
-      created: 1687882411,
-      owned_by: 't3router',
-      permission: [],
-      root: 'gpt-4',
-      parent: null
-    },
-    {
-      id: 'gpt-4-turbo',
-      object: 'model',
-      created: 1712361441,
-      owned_by: 't3router',
-      permission: [],
-      root: 'gpt-4-turbo',
-      parent: null
-    },
-    {
-      id: 'gpt-4o',
-      object: 'model',
-      created: 1715367049,
-      owned_by: 't3router',
-      permission: [],
-      root: 'gpt-4o',
-      parent: null
-    },
-    {
-      id: 'gpt-4o-mini',
-      object: 'model',
-      created: 1721172741,
-      owned_by: 't3router',
-      permission: [],
-      root: 'gpt-4o-mini',
-      parent: null
-    },
-    {
-      id: 'claude-3-sonnet',
-      object: 'model',
-      created: 1709251200,
-      owned_by: 't3router',
-      permission: [],
-      root: 'claude-3-sonnet',
-      parent: null
-    },
-    {
-      id: 'claude-3-haiku',
-      object: 'model',
-      created: 1709251200,
-      owned_by: 't3router',
-      permission: [],
-      root: 'claude-3-haiku',
-      parent: null
-    },
-    {
-      id: 'claude-3-opus',
-      object: 'model',
-      created: 1709251200,
-      owned_by: 't3router',
-      permission: [],
-      root: 'claude-3-opus',
-      parent: null
-    }
-  ];
+  // The model list is public unless the server issues its own keys
+  const auth = authenticate(req);
+  if (apiKeys && !auth) {
+    return sendUnauthorizedError(req, res);
+  }
   
   res.json({
     object: 'list',
-    data: models
+    data: listOpenAIModels(auth ? auth.keyName : null)
   });
 });
 
+/**
+ * Middleware that only lets requests with the ADMIN_TOKEN through
+ */
+function requireAdminToken(req, res, next) {
+  const token = Buffer.from(getBearerToken(req) || '');
+  const expected = Buffer.from(process.env.ADMIN_TOKEN);
+  
+  if (token.length !== expected.length || !timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      error: {
+        message: 'Admin token required',
+        type: 'invalid_request_error',
+        code: 'invalid_admin_token'
+      }
+    });
+  }
+  next();
+}
+
+/**
+ * Respond with the usage ledger entries matching the query string
+ */
+function sendUsage(res, query, key) {
+  const { model, start_date: from, end_date: to } = query;
+  const invalidDate = [from, to].find(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+  if (invalidDate !== undefined) {
+    return res.status(400).json({
+      error: {
+        message: `Invalid date: ${invalidDate}. Expected YYYY-MM-DD`,
+        type: 'invalid_request_error',
+        code: 'invalid_date'
+      }
+    });
+  }
+  
+  const toOpenAIUsage = (usage) => ({
+    requests: usage.requests,
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.promptTokens + usage.completionTokens
+  });
+  const { entries, totals } = usageLedger.query({ key, model, from, to });
+  
+  res.json({
+    object: 'list',
+    data: entries.map(entry => ({ date: entry.date, key: entry.key, model: entry.model, ...toOpenAIUsage(entry) })),
+    totals: toOpenAIUsage(totals)
+  });
+}
+
+/**
+ * Usage of the calling API key per day and model
+ */
+app.get('/v1/usage', requireApiKey, (req, res) => {
+  sendUsage(res, req.query, req.auth.label);
+});
+
+// Key management is only available when the server issues keys and an admin token is set
+if (apiKeys && process.env.ADMIN_TOKEN) {
+  /**
+   * Usage of all API keys per day and model, optionally for one key
+   */
+  app.get('/admin/usage', requireAdminToken, (req, res) => {
+    sendUsage(res, req.query, req.query.key);
+  });
+  
+
+  /**
+   * List issued API keys (hashes are never returned)
+   */
+  app.get('/admin/keys', requireAdminToken, (req, res) => {
+    res.json({ object: 'list', data: apiKeys.list() });
+  });
+  
+  /**
+   * Issue an API key; the key is only returned in this response
+   */
+  app.post('/admin/keys', requireAdminToken, async (req, res) => {
+    const { name, profile = 'default' } = req.body || {};
+    
+    if (!getProfileCredentials(profile)) {
+      return res.status(400).json({
+        error: {
+          message: `Unknown credential profile: ${profile}`,
+          type: 'invalid_request_error',
+          param: 'profile',
+          code: 'invalid_profile'
+        }
+      });
+    }
+    
+    try {
+      const { key, record } = await apiKeys.create({ name, profile });
+      res.status(201).json({ ...record, key });
+    } catch (error) {
+      res.status(400).json({
+        error: {
+          message: error.message,
+          type: 'invalid_request_error',
+          param: 'name',
+          code: 'invalid_name'
+        }
+      });
+    }
+  });
+  
+  /**
+   * Revoke an API key by ID
+   */
+  app.delete('/admin/keys/:id', requireAdminToken, async (req, res) => {
+    const record = await apiKeys.revoke(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          message: `No API key with ID ${req.params.id}`,
+          type: 'invalid_request_error',
+          code: 'key_not_found'
+        }
+      });
+    }
+    res.json(record);
+  });
+}
+
 /**
  * Health check endpoint
  */
@@ -354,19 +1189,47 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /v1/chat/completions': 'Chat completions endpoint',
+      'POST /v1/images/generations': 'Image generations endpoint',
       'GET /v1/models': 'List available models',
-      'GET /health': 'Health check'
+      'GET /v1/usage': 'Token usage of the API key',
+      'GET /health': 'Health check',
+      'GET|POST /admin/keys, DELETE /admin/keys/:id': 'Manage API keys (API_KEYS_FILE and ADMIN_TOKEN)',
+      'GET /admin/usage': 'Token usage of all API keys (API_KEYS_FILE and ADMIN_TOKEN)'
     },
     documentation: 'https://platform.openai.com/docs/api-reference/chat'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`T3Router OpenAI-Compatible API Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Models endpoint: http://localhost:${PORT}/v1/models`);
-  console.log(`Chat completions: POST http://localhost:${PORT}/v1/chat/completions`);
-});
+// Start server when run directly, so tests can import the app
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    console.log(`T3Router OpenAI-Compatible API Server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`Models endpoint: http://localhost:${PORT}/v1/models`);
+    console.log(`Chat completions: POST http://localhost:${PORT}/v1/chat/completions`);
+    if (!apiKeys && process.env.ALLOW_OPEN_PROXY === 'true') {
+      console.warn('Warning: ALLOW_OPEN_PROXY is set; any API key, or none, is accepted and runs with the COOKIES credentials');
+    } else if (!apiKeys && process.env.COOKIES) {
+      console.warn('Warning: API_KEYS_FILE is not set, so COOKIES is not used; API keys must be in the cookies:convexSessionId format');
+    }
+  });
+}
 
-export default app;
\ No newline at end of file
+export {
+  modelRegistry,
+  modelAliases,
+  apiKeys,
+  rateLimiter,
+  authenticate,
+  buildConfig,
+  toOpenAIError,
+  convertOpenAIMessagesToT3,
+  mapModelName,
+  mapImageModelName,
+  listOpenAIModels,
+  usageLedger,
+  createCompletionChunk,
+  createUsageChunk,
+  formatSSE
+};
+export default app;
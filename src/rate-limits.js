@@ -0,0 +1,207 @@
+import fs from 'fs';
+import { InvalidModelError, RateLimitError } from './t3/errors.js';
+
+/**
+ * Per-API-key limits for the OpenAI-compatible server.
+ * 
+ * Limits are keyed by API key name, with `default` applying to every key:
+ * `requestsPerMinute` (sliding one-minute window), `concurrentStreams`
+ * (streaming requests in flight), `dailyMessages` (reset at UTC midnight) and
+ * `allowedModels` (names or `*` patterns, matched against the requested and
+ * the t3.chat model). Unset limits are not enforced. Counters are kept in
+ * memory, so they start over when the server restarts.
+ */
+export class RateLimiter {
+  static WINDOW_MS = 60 * 1000;
+
+  /**
+   * @param {Object} limits - Limits keyed by API key name, with 'default' as fallback
+   * @param {Object} options - Limiter settings
+   * @param {Function} [options.now] - Clock returning milliseconds, for tests
+   */
+  constructor(limits = {}, { now = Date.now } = {}) {
+    this.limits = limits;
+    this.now = now;
+    this.usage = new Map();
+  }
+
+  /**
+   * Loads limits from a JSON file; without a file nothing is limited.
+   * 
+   * @param {string|null} path - JSON file keyed by API key name
+   * @returns {RateLimiter} The limiter
+   */
+  static load(path) {
+    return new RateLimiter(path ? JSON.parse(fs.readFileSync(path, 'utf8')) : {});
+  }
+
+  /**
+   * Gets the limits that apply to an API key.
+   * 
+   * @param {string} keyName - The API key name
+   * @returns {Object} The default limits overridden by the key's own
+   */
+  limitsFor(keyName) {
+    return { ...(this.limits.default || {}), ...(this.limits[keyName] || {}) };
+  }
+
+  /**
+   * Rejects models the key may not use.
+   * 
+   * @param {string} keyName - The API key name
+   * @param {...string} models - The requested model and the t3.chat model it maps to
+   * @throws {InvalidModelError} If allowedModels is set and matches none of the models
+   */
+  checkModel(keyName, ...models) {
+    const { allowedModels } = this.limitsFor(keyName);
+    if (!allowedModels) return;
+
+    const patterns = allowedModels.map(pattern => new RegExp(
+      `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+    ));
+    if (!models.some(model => patterns.some(regex => regex.test(model)))) {
+      throw new InvalidModelError(`The model '${models[0]}' does not exist or you do not have access to it`);
+    }
+  }
+
+  /**
+   * Counts a request against the key's limits.
+   * 
+   * A request that starts several generations, such as one with `n` choices,
+   * is counted once per generation against every limit. Only streaming
+   * requests take `concurrentStreams` slots.
+   * 
+   * @param {string} keyName - The API key name
+   * @param {Object} options - How the request is counted
+   * @param {number} [options.count=1] - The number of generations the request starts
+   * @param {boolean} [options.stream=true] - Whether the request streams its response
+   * @returns {Function} Call when the request has finished, to free its stream slots
+   * @throws {RateLimitError} If a limit has no room for the request, with `retryAfter` in seconds
+   */
+  acquire(keyName, { count = 1, stream = true } = {}) {
+    const streams = stream ? count : 0;
+    const limits = this.limitsFor(keyName);
+    const usage = this.usageFor(keyName);
+    const status = this.status(keyName);
+
+    if (status.requests && status.requests.remaining < count) {
+      throw this.limitError('requests per minute', limits.requestsPerMinute, this.windowReset(usage, limits.requestsPerMinute, count));
+    }
+    if (status.dailyMessages && status.dailyMessages.remaining < count) {
+      throw this.limitError('messages per day', limits.dailyMessages, status.dailyMessages.reset);
+    }
+    if (status.concurrentStreams && status.concurrentStreams.remaining < streams) {
+      // A stream slot frees up as soon as any request finishes
+      throw this.limitError('concurrent streams', limits.concurrentStreams, 1);
+    }
+
+    const now = this.now();
+    for (let i = 0; i < count; i++) usage.requests.push(now);
+    usage.daily += count;
+    usage.active += streams;
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        usage.active -= streams;
+      }
+    };
+  }
+
+  /**
+   * Gets the remaining budget of an API key for each configured limit.
+   * 
+   * @param {string} keyName - The API key name
+   * @returns {Object} `{limit, remaining, reset}` for requests, dailyMessages and concurrentStreams, with reset in seconds; unset limits are omitted
+   */
+  status(keyName) {
+    const limits = this.limitsFor(keyName);
+    const usage = this.usageFor(keyName);
+    const status = {};
+
+    if (limits.requestsPerMinute) {
+      status.requests = {
+        limit: limits.requestsPerMinute,
+        remaining: Math.max(0, limits.requestsPerMinute - usage.requests.length),
+        reset: usage.requests.length ? Math.ceil((usage.requests[0] + RateLimiter.WINDOW_MS - this.now()) / 1000) : 0
+      };
+    }
+    if (limits.dailyMessages) {
+      const midnight = new Date(this.now());
+      midnight.setUTCHours(24, 0, 0, 0);
+      status.dailyMessages = {
+        limit: limits.dailyMessages,
+        remaining: Math.max(0, limits.dailyMessages - usage.daily),
+        reset: Math.ceil((midnight.getTime() - this.now()) / 1000)
+      };
+    }
+    if (limits.concurrentStreams) {
+      status.concurrentStreams = {
+        limit: limits.concurrentStreams,
+        remaining: Math.max(0, limits.concurrentStreams - usage.active)
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Builds the `x-ratelimit-*` response headers for an API key.
+   * 
+   * @param {string} keyName - The API key name
+   * @returns {Object} The headers, empty if the key has no limits
+   */
+  headers(keyName) {
+    const { requests, dailyMessages, concurrentStreams } = this.status(keyName);
+    const headers = {};
+
+    if (requests) {
+      headers['x-ratelimit-limit-requests'] = String(requests.limit);
+      headers['x-ratelimit-remaining-requests'] = String(requests.remaining);
+      headers['x-ratelimit-reset-requests'] = `${requests.reset}s`;
+    }
+    if (dailyMessages) {
+      headers['x-ratelimit-limit-daily-messages'] = String(dailyMessages.limit);
+      headers['x-ratelimit-remaining-daily-messages'] = String(dailyMessages.remaining);
+      headers['x-ratelimit-reset-daily-messages'] = `${dailyMessages.reset}s`;
+    }
+    if (concurrentStreams) {
+      headers['x-ratelimit-limit-concurrent-streams'] = String(concurrentStreams.limit);
+      headers['x-ratelimit-remaining-concurrent-streams'] = String(concurrentStreams.remaining);
+    }
+    return headers;
+  }
+
+  usageFor(keyName) {
+    const now = this.now();
+    const day = new Date(now).toISOString().slice(0, 10);
+
+    if (!this.usage.has(keyName)) {
+      this.usage.set(keyName, { requests: [], day, daily: 0, active: 0 });
+    }
+    const usage = this.usage.get(keyName);
+
+    // Drop requests that left the window and start a new day at UTC midnight
+    while (usage.requests.length && usage.requests[0] <= now - RateLimiter.WINDOW_MS) {
+      usage.requests.shift();
+    }
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.daily = 0;
+    }
+    return usage;
+  }
+
+  // Seconds until enough requests have left the window to make room for `count` more
+  windowReset(usage, limit, count) {
+    const index = Math.min(usage.requests.length - limit + count, usage.requests.length) - 1;
+    return index >= 0 ? Math.ceil((usage.requests[index] + RateLimiter.WINDOW_MS - this.now()) / 1000) : 0;
+  }
+
+  limitError(limitName, limit, retryAfter) {
+    return new RateLimitError(
+      `Rate limit reached for ${limitName}: limit ${limit}. Please try again in ${retryAfter}s.`,
+      { retryAfter }
+    );
+  }
+}
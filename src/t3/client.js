@@ -1,113 +1,226 @@
-import axios from 'axios';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { Message, MessageType, ContentType } from './message.js';
-import { ReasoningEffort } from './config.js';
+import { Config, ReasoningEffort } from './config.js';
+import { StreamDecoder, StreamEventType, ResponseAccumulator } from './protocol.js';
+import { AuthenticationError, StructuredOutputError, UpstreamError, errorFromMessage, errorFromResponse, readBody, toT3Error } from './errors.js';
+import { RetryPolicy } from './retry.js';
+import { createDefaultTransport } from './transport.js';
+import { Conversation } from './conversation.js';
+import { CookieJar } from './cookies.js';
+import { StructuredOutput } from './structured.js';
+import { OutputLimiter } from './limits.js';
 
 /**
  * Main client for interacting with t3.chat API.
+ * 
+ * Emits 'cookies-updated' with the CookieJar whenever t3.chat refreshes the
+ * session cookies, 'session-expired' with the AuthenticationError when
+ * t3.chat rejects the session, and 'unknown-event' with each stream line the
+ * decoder did not recognize, so callers decide whether to log them.
  */
-export class Client {
-  constructor(cookies, convexSessionId) {
-    this.cookies = cookies;
+export class Client extends EventEmitter {
+  static MODELS_PATH = '/api/models';
+
+  /**
+   * @param {string|CookieJar} cookies - The t3.chat cookie header, or a jar holding the cookies
+   * @param {string} convexSessionId - The t3.chat Convex session ID
+   * @param {Object} options - Client options
+   * @param {RetryPolicy} [options.retryPolicy] - Retry policy for transient failures
+   * @param {Transport} [options.transport] - HTTP transport, defaults to fetch with a Chrome header profile
+   * @param {string} [options.cookieFile] - File refreshed cookies are written to, see CookieJar.load
+   * @param {ModelRegistry} [options.modelRegistry] - Registry used to check requests against model capabilities before sending
+   */
+  constructor(cookies, convexSessionId, options = {}) {
+    super();
+    this.cookieJar = cookies instanceof CookieJar ? cookies : new CookieJar(cookies);
+    this.cookieFile = options.cookieFile || null;
     this.convexSessionId = convexSessionId;
     this.threadId = null;
     this.messages = [];
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.modelRegistry = options.modelRegistry || null;
     
-    // Configure axios with default headers
-    this.client = axios.create({
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-        'accept-language': 'en-US,en;q=0.9',
-        'cache-control': 'no-cache',
-        'origin': 'https://t3.chat',
-        'pragma': 'no-cache',
-        'priority': 'u=1, i',
-        'sec-ch-ua': '"Not)A;Brand";v="8", "Chromium";v="138", "Google Chrome";v="138"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"',
-        'sec-fetch-dest': 'empty',
-        'sec-fetch-mode': 'cors',
-        'sec-fetch-site': 'same-origin'
+    this.transport = options.transport || createDefaultTransport();
+  }
+
+  /**
+   * Gets the current cookies in `Cookie` header form, including refreshed values.
+   * 
+   * @returns {string} The cookie header
+   */
+  get cookies() {
+    return this.cookieJar.toHeader();
+  }
+
+  /**
+   * Initializes the client and verifies the session is signed in.
+   * 
+   * The home page loads even when signed out, so after fetching it (which
+   * also picks up refreshed cookies) the session is checked by reading the
+   * model list: t3.chat rejects it with 401 or 403 unless authenticated.
+   * Other answers to that check leave the session to be proven by the first
+   * message, so a changed endpoint never stops a signed-in client.
+   * 
+   * @returns {Promise<boolean>} True if initialization succeeded
+   * @throws {AuthenticationError|NetworkError|T3Error} If t3.chat cannot be reached with these credentials
+   */
+  async init() {
+    try {
+      const response = await this.transport.request({
+        method: 'GET',
+        path: '/',
+        headers: {
+          'Cookie': this.cookies
+        },
+        responseType: 'text'
+      });
+      await this.applyResponseCookies(response);
+
+      if (response.status < 200 || response.status >= 300) {
+        throw errorFromResponse(response.status, response.data, response.headers);
       }
+
+      await this.verifySession();
+      return true;
+    } catch (error) {
+      throw await this.toClientError(error);
+    }
+  }
+
+  /**
+   * Checks that t3.chat accepts the session by reading the model list, which requires signing in.
+   * 
+   * Only 401 and 403 fail the check; any other status says nothing about the session.
+   * 
+   * @returns {Promise<void>}
+   * @throws {AuthenticationError} If the session is signed out or expired
+   */
+  async verifySession() {
+    const response = await this.transport.request({
+      method: 'GET',
+      path: Client.MODELS_PATH,
+      headers: {
+        'Cookie': this.cookies
+      },
+      responseType: 'text'
     });
+    await this.applyResponseCookies(response);
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthenticationError('t3.chat session is not signed in or has expired', {
+        status: response.status,
+        details: response.data
+      });
+    }
   }
 
   /**
-   * Initializes the client by testing the connection.
+   * Fetches the model list served by t3.chat, as used by ModelRegistry.refresh.
    * 
-   * @returns {Promise<boolean>} True if initialization succeeded, false otherwise
+   * @returns {Promise<Object|Object[]>} The model catalog document
+   * @throws {T3Error} If the list cannot be fetched
    */
-  async init() {
+  async listModels() {
     try {
-      const response = await this.client.get('https://t3.chat/', {
+      const response = await this.transport.request({
+        method: 'GET',
+        path: Client.MODELS_PATH,
         headers: {
           'Cookie': this.cookies
-        }
+        },
+        responseType: 'text'
       });
-      return response.status >= 200 && response.status < 300;
+      await this.applyResponseCookies(response);
+
+      if (response.status < 200 || response.status >= 300) {
+        throw errorFromResponse(response.status, response.data, response.headers);
+      }
+      return JSON.parse(response.data);
     } catch (error) {
-      console.error('Failed to initialize client:', error.message);
+      throw await this.toClientError(error);
+    }
+  }
+
+  /**
+   * Applies cookie updates from a t3.chat response and persists them if a cookie file is set.
+   * 
+   * @param {Object} response - The transport response
+   * @returns {Promise<boolean>} True if the cookies changed
+   */
+  async applyResponseCookies(response) {
+    if (!this.cookieJar.applyResponseHeaders(response.headers)) {
       return false;
     }
+    if (this.cookieFile) {
+      await this.cookieJar.save(this.cookieFile);
+    }
+    this.emit('cookies-updated', this.cookieJar);
+    return true;
+  }
+
+  /**
+   * Converts an error to a T3Error, emitting 'session-expired' for authentication failures.
+   * 
+   * @param {Error} error - The error thrown while talking to t3.chat
+   * @returns {Promise<T3Error>} The typed error
+   */
+  async toClientError(error) {
+    const t3Error = await toT3Error(error);
+    if (t3Error instanceof AuthenticationError) {
+      this.emit('session-expired', t3Error);
+    }
+    return t3Error;
   }
 
   /**
    * Parses the response string and extracts content (text or image).
    * 
    * @param {string} response - The response string to parse
-   * @returns {Object} Object with content and imageUrl properties
+   * @returns {Object} Object with content, imageUrl, reasoning and finish metadata
    */
   parseResponse(response) {
-    let textResult = '';
-    let imageUrl = null;
-
-    const lines = response.split('\n');
-    for (const line of lines) {
-      const colonPos = line.indexOf(':');
-      if (colonPos === -1) continue;
-
-      const code = line.substring(0, colonPos);
-      const jsonData = line.substring(colonPos + 1);
-
-      try {
-        switch (code) {
-          case '0':
-            const text = JSON.parse(jsonData);
-            if (typeof text === 'string') {
-              textResult += text;
-            }
-            break;
-          case '2':
-            const dataArray = JSON.parse(jsonData);
-            if (Array.isArray(dataArray)) {
-              for (const item of dataArray) {
-                if (item.type === 'image-gen' && item.content) {
-                  try {
-                    imageUrl = JSON.parse(item.content);
-                  } catch (e) {
-                    imageUrl = item.content;
-                  }
-                }
-              }
-            }
-            break;
-        }
-      } catch (e) {
-        // Skip invalid JSON lines
-        continue;
-      }
+    const state = new ResponseAccumulator();
+    for (const event of StreamDecoder.decode(response)) {
+      this.handleEvent(state, event);
     }
 
-    if (!textResult && !imageUrl) {
-      throw new Error('No valid content found in response');
+    if (!state.content && !state.imageUrl) {
+      throw new UpstreamError('No valid content found in response', { details: response });
     }
 
     return {
-      content: textResult.trim(),
-      imageUrl
+      content: state.content.trim(),
+      imageUrl: state.imageUrl,
+      reasoning: state.reasoning,
+      sources: state.sources,
+      annotations: state.annotations,
+      finishReason: state.finishReason,
+      usage: state.usage
     };
   }
 
+  /**
+   * Applies a decoded stream event to the response state.
+   * 
+   * Upstream error events abort the response with a typed error; unknown codes are emitted
+   * as 'unknown-event'.
+   * 
+   * @param {ResponseAccumulator} state - The response being accumulated
+   * @param {Object} event - The decoded stream event
+   * @returns {Object} The applied event
+   */
+  handleEvent(state, event) {
+    state.apply(event);
+    if (event.type === StreamEventType.ERROR) {
+      throw errorFromMessage(state.error, { details: event.value });
+    }
+    if (event.type === StreamEventType.UNKNOWN) {
+      this.emit('unknown-event', event);
+    }
+    return event;
+  }
+
   /**
    * Starts a new conversation by resetting the thread ID and clearing messages.
    */
@@ -150,34 +263,72 @@ export class Client {
     return this.threadId;
   }
 
+  /**
+   * Creates a conversation with its own thread and message history.
+   * 
+   * Conversations share this client's session, so many chats can run in
+   * parallel without touching the client's own conversation state.
+   * 
+   * @param {Object} options - Conversation defaults
+   * @param {string} [options.model] - Default model for the conversation
+   * @param {Config} [options.config] - Default config for the conversation
+   * @param {string} [options.threadId] - Existing thread ID to continue
+   * @param {Message[]} [options.messages] - Existing message history
+   * @param {string} [options.systemPrompt] - Instructions sent with every request in the conversation
+   * @param {ConversationStore} [options.store] - Store to save the conversation to after each response
+   * @returns {Conversation} A new Conversation bound to this client
+   */
+  createConversation(options = {}) {
+    return new Conversation(this, options);
+  }
 
+  /**
+   * Loads a saved conversation so it can be continued.
+   * 
+   * The conversation keeps saving to the same store after each response.
+   * 
+   * @param {ConversationStore} store - The store holding the conversation
+   * @param {string} id - The conversation ID
+   * @returns {Promise<Conversation|null>} The conversation, or null if the store does not have it
+   */
+  async resumeConversation(store, id) {
+    const json = await store.load(id);
+    return json ? Conversation.fromJSON(this, json, store) : null;
+  }
 
   /**
-   * Sends a message to the specified model.
+   * Builds the request body for a conversation.
+   * 
+   * t3.chat has no system role in its message list, so the conversation's
+   * system prompt and its MessageType.SYSTEM messages are merged, in order,
+   * into the custom instructions after the config's `additionalInfo`.
    * 
    * @param {string} model - The model to use
-   * @param {Message|null} newMessage - Optional new message to append before sending
    * @param {Config} config - Configuration for the request
-   * @returns {Promise<Message>} The assistant's response
+   * @param {Client|Conversation} conversation - Holder of the thread ID and messages
+   * @returns {{threadId: string, body: Object}} The thread ID and request body
    */
-  async send(model, newMessage = null, config) {
-    if (newMessage) {
-      this.appendMessage(newMessage);
-    }
-
+  buildRequest(model, config, conversation = this) {
     const reasoningEffort = config.reasoningEffort || ReasoningEffort.MEDIUM;
-    const threadId = this.threadId || uuidv4();
-    this.threadId = threadId;
+    const preferences = config.preferences || {};
+    const threadId = conversation.threadId || uuidv4();
+    conversation.threadId = threadId;
+
+    const instructions = [
+      preferences.additionalInfo,
+      conversation.systemPrompt,
+      ...conversation.messages.filter(msg => msg.role === MessageType.SYSTEM).map(msg => msg.content)
+    ].filter(Boolean);
 
     // Convert messages to API format
-    const messagesJson = this.messages.map(msg => ({
+    const messagesJson = conversation.messages.filter(msg => msg.role !== MessageType.SYSTEM).map(msg => ({
       id: msg.id,
       parts: [{
         type: 'text',
         text: msg.content
       }],
       role: msg.role,
-      attachments: []
+      attachments: (msg.attachments || []).map(attachment => Client.encodeAttachment(attachment))
     }));
 
     const body = {
@@ -190,170 +341,367 @@ export class Client {
       convexSessionId: this.convexSessionId,
       modelParams: {
         reasoningEffort: reasoningEffort,
-        includeSearch: config.includeSearch
+        includeSearch: config.includeSearch,
+        // Sampling parameters are only sent when set, leaving the model defaults otherwise
+        ...(config.temperature != null ? { temperature: config.temperature } : {}),
+        ...(config.topP != null ? { topP: config.topP } : {})
       },
       preferences: {
-        name: '',
-        occupation: '',
-        selectedTraits: [],
-        additionalInfo: ''
+        name: preferences.name || '',
+        occupation: preferences.occupation || '',
+        selectedTraits: preferences.selectedTraits || [],
+        additionalInfo: instructions.join('\n\n')
       },
       userInfo: {
-        timezone: 'America/New_York'
+        timezone: config.timezone || Config.systemTimezone()
       }
     };
 
-    try {
-      const response = await this.client.post('https://t3.chat/api/chat', body, {
-        headers: {
-          'Cookie': this.cookies,
-          'Content-Type': 'application/json',
-          'Referer': `https://t3.chat/chat/${threadId}`
-        }
-      });
+    return { threadId, body };
+  }
 
-      if (response.status < 200 || response.status >= 300) {
-        throw new Error(`Failed to send message: ${response.status}`);
+  /**
+   * Creates the assistant message for a parsed response.
+   * 
+   * @param {{content: string, imageUrl: string|null, reasoning: string, finishReason: string|null}} parsed - The parsed response
+   * @returns {Message} An image message if an image was generated, otherwise a text message
+   */
+  createResponseMessage(parsed) {
+    const responseMessage = parsed.imageUrl
+      ? Message.newImage(MessageType.ASSISTANT, parsed.imageUrl)
+      : Message.new(MessageType.ASSISTANT, parsed.content);
+    responseMessage.reasoning = parsed.reasoning || null;
+    responseMessage.finishReason = parsed.finishReason || null;
+    return responseMessage;
+  }
+
+  /**
+   * Downloads a generated image and stores it base64 encoded on the message.
+   * 
+   * @param {Message} message - An image message returned by send or sendStream
+   * @returns {Promise<Message>} The same message with its base64 data filled in
+   */
+  async downloadImage(message) {
+    const url = message.contentType.getImageUrl();
+    if (!url) {
+      throw new Error('Message does not contain an image URL');
+    }
+
+    const response = await this.transport.request({ method: 'GET', path: url, responseType: 'arraybuffer' });
+    if (response.status < 200 || response.status >= 300) {
+      throw errorFromResponse(response.status, null, response.headers);
+    }
+
+    const mimeType = (response.headers['content-type'] || 'image/png').split(';')[0];
+    message.contentType = ContentType.image(url, Buffer.from(response.data).toString('base64'), mimeType);
+    return message;
+  }
+
+  /**
+   * Encodes an image or file attachment into the t3.chat attachment shape.
+   * 
+   * Base64 data is sent inline as a data URL; otherwise the URL is passed
+   * through for the upstream to fetch.
+   * 
+   * @param {ContentType} attachment - An image or file ContentType
+   * @returns {{name: string, contentType: string, url: string}} The encoded attachment
+   */
+  static encodeAttachment(attachment) {
+    const { url, base64 } = attachment.data;
+    if (!url && !base64) {
+      throw new Error('Attachment requires a URL or base64 data');
+    }
+
+    const contentType = attachment.getMimeType() ||
+      (attachment.isImage() ? 'image/png' : 'application/octet-stream');
+    const name = attachment.isFile() ? attachment.data.name :
+      (url ? url.split('/').pop().split('?')[0] : 'image') || 'image';
+
+    return {
+      name,
+      contentType,
+      url: base64 ? `data:${contentType};base64,${base64}` : url
+    };
+  }
+
+  /**
+   * Posts a chat request to the upstream.
+   * 
+   * @param {string} threadId - The thread the request belongs to
+   * @param {Object} body - The request body built by buildRequest
+   * @param {string} responseType - 'text' or 'stream'
+   * @param {AbortSignal} [signal] - Signal that cancels the request
+   * @returns {Promise<Object>} The successful transport response
+   * @throws {T3Error} If the upstream responds with a non-2xx status
+   */
+  async postChat(threadId, body, responseType, signal) {
+    const response = await this.transport.request({
+      method: 'POST',
+      path: '/api/chat',
+      headers: {
+        'Cookie': this.cookies,
+        'Content-Type': 'application/json',
+        'Referer': this.transport.url(`/chat/${threadId}`)
+      },
+      body,
+      responseType,
+      signal
+    });
+    await this.applyResponseCookies(response);
+
+    if (response.status < 200 || response.status >= 300) {
+      throw errorFromResponse(response.status, await readBody(response.data), response.headers);
+    }
+    return response;
+  }
+
+  /**
+   * Sends a message to the specified model.
+   * 
+   * @param {string} model - The model to use
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Config} config - Configuration for the request
+   * @param {Object} options - Per-call options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<Message>} The assistant's response
+   */
+  async send(model, newMessage = null, config, options = {}) {
+    return this.sendInConversation(this, model, newMessage, config, options);
+  }
+
+  /**
+   * Sends a message within the given conversation.
+   * 
+   * When the config sets `maxTokens` or `stop`, the response is streamed so
+   * the upstream request can be cut off as soon as a limit is reached.
+   * 
+   * @param {Client|Conversation} conversation - Holder of the thread ID and messages
+   * @param {string} model - The model to use
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Config} config - Configuration for the request
+   * @param {Object} options - Per-call options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<Message>} The assistant's response
+   */
+  async sendInConversation(conversation, model, newMessage, config, options = {}) {
+    if (OutputLimiter.forConfig(config, model).active) {
+      for await (const chunk of this.streamInConversation(conversation, model, newMessage, config, options)) {
+        if (chunk.complete) {
+          return chunk.fullMessage;
+        }
       }
+    }
+    if (this.modelRegistry) {
+      const messages = newMessage ? [...conversation.messages, newMessage] : conversation.messages;
+      this.modelRegistry.validateRequest(model, messages, config);
+    }
+    if (newMessage) {
+      conversation.appendMessage(newMessage);
+    }
 
-      const parsed = this.parseResponse(response.data);
-      
-      let responseMessage;
-      if (parsed.imageUrl) {
-        responseMessage = Message.newImage(MessageType.ASSISTANT, parsed.imageUrl);
-      } else {
-        responseMessage = Message.new(MessageType.ASSISTANT, parsed.content);
+    const { threadId, body } = this.buildRequest(model, config, conversation);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.postChat(threadId, body, 'text', options.signal);
+
+        const parsed = this.parseResponse(response.data);
+        const responseMessage = this.createResponseMessage(parsed);
+
+        conversation.appendMessage(responseMessage);
+        return responseMessage;
+
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw options.signal.reason;
+        }
+        const t3Error = await this.toClientError(error);
+        if (!this.retryPolicy.shouldRetry(t3Error, attempt)) {
+          throw t3Error;
+        }
+        await this.retryPolicy.wait(attempt, t3Error, options.signal);
       }
+    }
+  }
+
+  /**
+   * Sends a message and returns the reply parsed as JSON.
+   * 
+   * Instructions describing the expected JSON are sent after the message.
+   * Replies that hold no JSON or, in strict mode, do not match the schema are
+   * sent back to the model with the problems found, up to `maxRepairs` times.
+   * 
+   * @param {Object|null} schema - JSON schema of the reply, or null for any JSON object
+   * @param {string} model - The model to use
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Config} config - Configuration for the request
+   * @param {Object} options - Per-call options
+   * @param {string} [options.name] - Name of the schema, shown to the model
+   * @param {boolean} [options.strict] - Validate the reply against the schema (default true), not just parse it
+   * @param {number} [options.maxRepairs] - How often an invalid reply is sent back for repair (default 2)
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<{data: *, message: Message}>} The parsed JSON and the reply it came from
+   * @throws {StructuredOutputError} If no valid reply was received
+   */
+  async sendStructured(schema, model, newMessage = null, config, options = {}) {
+    return this.sendStructuredInConversation(this, schema, model, newMessage, config, options);
+  }
 
-      this.appendMessage(responseMessage);
-      return responseMessage;
+  /**
+   * Sends a message within the given conversation and returns the reply parsed as JSON.
+   * 
+   * @param {Client|Conversation} conversation - Holder of the thread ID and messages
+   * @param {Object|null} schema - JSON schema of the reply, or null for any JSON object
+   * @param {string} model - The model to use
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Config} config - Configuration for the request
+   * @param {Object} options - Per-call options, as for sendStructured
+   * @returns {Promise<{data: *, message: Message}>} The parsed JSON and the reply it came from
+   */
+  async sendStructuredInConversation(conversation, schema, model, newMessage, config, options = {}) {
+    const { name, strict, maxRepairs, ...callOptions } = options;
+    const structured = new StructuredOutput({ schema, name, strict, maxRepairs });
 
-    } catch (error) {
-      throw new Error(`Request failed: ${error.message}`);
+    if (newMessage) {
+      conversation.appendMessage(newMessage);
+    }
+    let prompt = Message.new(MessageType.USER, structured.instructions());
+
+    for (let repair = 0; ; repair++) {
+      const message = await this.sendInConversation(conversation, model, prompt, config, callOptions);
+      try {
+        return { data: structured.parse(message.contentType.getText() || message.content), message };
+      } catch (error) {
+        if (!(error instanceof StructuredOutputError) || repair >= structured.maxRepairs) {
+          throw error;
+        }
+        prompt = Message.new(MessageType.USER, structured.repairPrompt(error));
+      }
     }
   }
 
   /**
    * Sends a message and returns a stream of response chunks.
    * 
+   * Answer text is yielded as `{ type: 'text', text, chunk }`, model
+   * reasoning as `{ type: 'reasoning', text }` and generated images as
+   * `{ type: 'image', url }`, the latter two with an empty `chunk`, so
+   * consumers that only print `chunk` see the answer alone.
+   * 
+   * Answer text is cut at the config's `stop` sequences and `maxTokens`;
+   * the final chunk then has `finishReason` 'stop' or 'length' and the
+   * upstream request is ended.
+   * 
    * @param {string} model - The model to use for the request
    * @param {Message} newMessage - The message to send (optional)
    * @param {Config} config - Configuration options
-   * @returns {AsyncGenerator<{chunk: string, complete: boolean, fullMessage?: Message}>} Stream of response chunks
+   * @param {Object} options - Per-call options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request and ends the stream
+   * @returns {AsyncGenerator<{type: string, text?: string, chunk: string, complete: boolean, fullMessage?: Message, finishReason?: string, usage?: Object}>} Stream of response chunks
+   */
+  async* sendStream(model, newMessage = null, config, options = {}) {
+    yield* this.streamInConversation(this, model, newMessage, config, options);
+  }
+
+  /**
+   * Sends a message within the given conversation and streams the response.
+   * 
+   * @param {Client|Conversation} conversation - Holder of the thread ID and messages
+   * @param {string} model - The model to use for the request
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Config} config - Configuration options
+   * @param {Object} options - Per-call options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request and ends the stream
+   * @returns {AsyncGenerator<Object>} Stream of response chunks, as described for sendStream
    */
-  async* sendStream(model, newMessage = null, config) {
+  async* streamInConversation(conversation, model, newMessage, config, options = {}) {
+    if (this.modelRegistry) {
+      const messages = newMessage ? [...conversation.messages, newMessage] : conversation.messages;
+      this.modelRegistry.validateRequest(model, messages, config);
+    }
     if (newMessage) {
-      this.appendMessage(newMessage);
+      conversation.appendMessage(newMessage);
     }
 
-    const reasoningEffort = config.reasoningEffort || ReasoningEffort.MEDIUM;
-    const threadId = this.threadId || uuidv4();
-    this.threadId = threadId;
+    const { threadId, body } = this.buildRequest(model, config, conversation);
 
-    // Convert messages to API format
-    const messagesJson = this.messages.map(msg => ({
-      id: msg.id,
-      parts: [{
-        type: 'text',
-        text: msg.content
-      }],
-      role: msg.role,
-      attachments: []
-    }));
-
-    const body = {
-      messages: messagesJson,
-      threadMetadata: {
-        id: threadId
-      },
-      responseMessageId: uuidv4(),
-      model: model,
-      convexSessionId: this.convexSessionId,
-      modelParams: {
-        reasoningEffort: reasoningEffort,
-        includeSearch: config.includeSearch
-      },
-      preferences: {
-        name: '',
-        occupation: '',
-        selectedTraits: [],
-        additionalInfo: ''
-      },
-      userInfo: {
-        timezone: 'America/New_York'
-      }
-    };
-
-    try {
-      const response = await this.client.post('https://t3.chat/api/chat', body, {
-        headers: {
-          'Cookie': this.cookies,
-          'Content-Type': 'application/json',
-          'Referer': `https://t3.chat/chat/${threadId}`
-        },
-        responseType: 'stream'
-      });
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let yielded = false;
+      try {
+        response = await this.postChat(threadId, body, 'stream', options.signal);
 
-      if (response.status < 200 || response.status >= 300) {
-        throw new Error(`Failed to send message: ${response.status}`);
-      }
+        const state = new ResponseAccumulator();
+        const limiter = OutputLimiter.forConfig(config, model);
 
-      let fullContent = '';
-      let buffer = '';
-      let isComplete = false;
-
-      for await (const chunk of response.data) {
-        buffer += chunk.toString();
-        
-        // Process complete lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.trim() === '') continue;
-          
-          const colonPos = line.indexOf(':');
-          if (colonPos === -1) continue;
-
-          const code = line.substring(0, colonPos);
-          const jsonData = line.substring(colonPos + 1);
-
-          try {
-            switch (code) {
-              case '0':
-                // Text content
-                const text = JSON.parse(jsonData);
-                if (typeof text === 'string') {
-                  fullContent += text;
-                  yield { chunk: text, complete: false };
-                }
-                break;
-              case '2':
-                // Other data (images, completion signals, etc.)
-                const dataArray = JSON.parse(jsonData);
-                if (Array.isArray(dataArray)) {
-                  for (const item of dataArray) {
-                    if (item.type === 'completion' || item.type === 'done') {
-                      isComplete = true;
-                    }
-                  }
-                }
-                break;
+        for await (const event of StreamDecoder.decodeStream(response.data)) {
+          if (options.signal && options.signal.aborted) {
+            throw options.signal.reason;
+          }
+          this.handleEvent(state, event);
+          if (event.type === StreamEventType.DATA) {
+            for (const item of Array.isArray(event.value) ? event.value : []) {
+              const url = ResponseAccumulator.imageUrlOf(item);
+              if (url) {
+                yielded = true;
+                yield { type: 'image', url, chunk: '', complete: false };
+              }
             }
-          } catch (e) {
-            // Skip invalid JSON lines
-            continue;
+          }
+          if (typeof event.value !== 'string') continue;
+          if (event.type === StreamEventType.TEXT) {
+            const text = await limiter.push(event.value);
+            if (text) {
+              yielded = true;
+              yield { type: 'text', text, chunk: text, complete: false };
+            }
+            // Stop reading; the finally block ends the upstream request
+            if (limiter.done) break;
+          } else if (event.type === StreamEventType.REASONING) {
+            yielded = true;
+            yield { type: 'reasoning', text: event.value, chunk: '', complete: false };
           }
         }
-      }
       
-      // Create final message
-      const responseMessage = Message.new(MessageType.ASSISTANT, fullContent.trim());
-      this.appendMessage(responseMessage);
-      yield { chunk: '', complete: true, fullMessage: responseMessage };
-
-    } catch (error) {
-      throw new Error(`Streaming request failed: ${error.message}`);
+        const rest = await limiter.end();
+        if (rest) {
+          yield { type: 'text', text: rest, chunk: rest, complete: false };
+        }
+      
+        // Create final message
+        const responseMessage = this.createResponseMessage({
+          content: limiter.content.trim(),
+          imageUrl: state.imageUrl,
+          reasoning: state.reasoning,
+          finishReason: limiter.finishReason || state.finishReason
+        });
+        conversation.appendMessage(responseMessage);
+        yield {
+          type: 'done',
+          chunk: '',
+          complete: true,
+          fullMessage: responseMessage,
+          finishReason: responseMessage.finishReason,
+          usage: state.usage
+        };
+        return;
+
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw options.signal.reason;
+        }
+        // Only retry while nothing has reached the consumer yet
+        const t3Error = await this.toClientError(error);
+        if (yielded || !this.retryPolicy.shouldRetry(t3Error, attempt)) {
+          throw t3Error;
+        }
+        await this.retryPolicy.wait(attempt, t3Error, options.signal);
+      } finally {
+        // Stop the upstream request if the consumer stopped iterating early
+        if (response && typeof response.data.destroy === 'function' && !response.data.destroyed) {
+          response.data.destroy();
+        }
+      }
     }
   }
 
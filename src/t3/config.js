@@ -11,9 +11,35 @@ export class ReasoningEffort {
  * Configuration class for t3.chat requests.
  */
 export class Config {
-  constructor(reasoningEffort = ReasoningEffort.MEDIUM, includeSearch = false) {
+  /**
+   * @param {string} reasoningEffort - The reasoning effort level
+   * @param {boolean} includeSearch - Whether to include search in requests
+   * @param {Object} preferences - Custom instructions sent with every request
+   * @param {string} [preferences.name] - What the model should call the user
+   * @param {string} [preferences.occupation] - The user's occupation
+   * @param {string[]} [preferences.selectedTraits] - Traits the model should have
+   * @param {string} [preferences.additionalInfo] - Anything else the model should know
+   * @param {string|null} timezone - IANA timezone of the user, defaults to the system timezone
+   * @param {Object} generation - Output limits and sampling parameters, all optional
+   * @param {number|null} [generation.maxTokens] - Most answer tokens, enforced by cutting the response
+   * @param {string[]} [generation.stop] - Sequences that end the answer, enforced by cutting the response
+   * @param {number|null} [generation.temperature] - Sampling temperature, forwarded to t3.chat
+   * @param {number|null} [generation.topP] - Nucleus sampling probability, forwarded to t3.chat
+   */
+  constructor(reasoningEffort = ReasoningEffort.MEDIUM, includeSearch = false, preferences = {}, timezone = null, generation = {}) {
     this.reasoningEffort = reasoningEffort;
     this.includeSearch = includeSearch;
+    this.preferences = {
+      name: preferences.name || '',
+      occupation: preferences.occupation || '',
+      selectedTraits: [...(preferences.selectedTraits || [])],
+      additionalInfo: preferences.additionalInfo || ''
+    };
+    this.timezone = timezone || Config.systemTimezone();
+    this.maxTokens = generation.maxTokens ?? null;
+    this.stop = [...(generation.stop || [])];
+    this.temperature = generation.temperature ?? null;
+    this.topP = generation.topP ?? null;
   }
 
   /**
@@ -33,6 +59,42 @@ export class Config {
   static builder() {
     return new ConfigBuilder();
   }
+
+  /**
+   * Gets the timezone of the machine running the client.
+   * 
+   * @returns {string} The IANA timezone name, or 'UTC' if it cannot be determined
+   */
+  static systemTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+  /**
+   * Serializes the config to a plain JSON object.
+   * 
+   * @returns {Object} The serialized config
+   */
+  toJSON() {
+    return {
+      reasoningEffort: this.reasoningEffort,
+      includeSearch: this.includeSearch,
+      preferences: { ...this.preferences, selectedTraits: [...this.preferences.selectedTraits] },
+      timezone: this.timezone,
+      maxTokens: this.maxTokens,
+      stop: [...this.stop],
+      temperature: this.temperature,
+      topP: this.topP
+    };
+  }
+
+  /**
+   * Restores a config serialized with toJSON.
+   * 
+   * @param {Object} json - The serialized config
+   * @returns {Config} The restored Config
+   */
+  static fromJSON(json) {
+    return new Config(json.reasoningEffort, json.includeSearch, json.preferences || {}, json.timezone, json);
+  }
 }
 
 /**
@@ -42,6 +104,19 @@ export class ConfigBuilder {
   constructor() {
     this.reasoningEffort = ReasoningEffort.MEDIUM;
     this.includeSearch = false;
+    this.preferences = {
+      name: '',
+      occupation: '',
+      selectedTraits: [],
+      additionalInfo: ''
+    };
+    this.timezone = null;
+    this.generation = {
+      maxTokens: null,
+      stop: [],
+      temperature: null,
+      topP: null
+    };
   }
 
   /**
@@ -66,12 +141,122 @@ export class ConfigBuilder {
     return this;
   }
 
+  /**
+   * Sets the name the model should call the user.
+   * 
+   * @param {string} name - The user's name
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setName(name) {
+    this.preferences.name = name;
+    return this;
+  }
+
+  /**
+   * Sets the user's occupation.
+   * 
+   * @param {string} occupation - The user's occupation
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setOccupation(occupation) {
+    this.preferences.occupation = occupation;
+    return this;
+  }
+
+  /**
+   * Sets the traits the model should have, replacing any added before.
+   * 
+   * @param {string[]} traits - Traits such as 'concise' or 'witty'
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setSelectedTraits(traits) {
+    this.preferences.selectedTraits = [...traits];
+    return this;
+  }
+
+  /**
+   * Adds a single trait the model should have.
+   * 
+   * @param {string} trait - The trait to add
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  addTrait(trait) {
+    this.preferences.selectedTraits.push(trait);
+    return this;
+  }
+
+  /**
+   * Sets additional information or custom instructions for the model.
+   * 
+   * @param {string} info - The additional information
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setAdditionalInfo(info) {
+    this.preferences.additionalInfo = info;
+    return this;
+  }
+
+  /**
+   * Sets the user's timezone.
+   * 
+   * @param {string} timezone - IANA timezone name such as 'Europe/Berlin'
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setTimezone(timezone) {
+    this.timezone = timezone;
+    return this;
+  }
+
+  /**
+   * Sets the most tokens the answer may have; longer answers are cut off.
+   * 
+   * @param {number|null} maxTokens - The token limit, or null for none
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setMaxTokens(maxTokens) {
+    this.generation.maxTokens = maxTokens;
+    return this;
+  }
+
+  /**
+   * Sets the sequences that end the answer; the answer is cut before the first one.
+   * 
+   * @param {string|string[]|null} stop - One sequence, a list of them, or null for none
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setStop(stop) {
+    this.generation.stop = Array.isArray(stop) ? [...stop] : (stop ? [stop] : []);
+    return this;
+  }
+
+  /**
+   * Sets the sampling temperature.
+   * 
+   * @param {number|null} temperature - The temperature, or null for the model default
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setTemperature(temperature) {
+    this.generation.temperature = temperature;
+    return this;
+  }
+
+  /**
+   * Sets the nucleus sampling probability.
+   * 
+   * @param {number|null} topP - The probability mass to sample from, or null for the model default
+   * @returns {ConfigBuilder} This builder instance for chaining
+   */
+  setTopP(topP) {
+    this.generation.topP = topP;
+    return this;
+  }
+
   /**
    * Builds the final Config instance.
    * 
    * @returns {Config} A new Config instance with the specified settings
    */
   build() {
-    return new Config(this.reasoningEffort, this.includeSearch);
+    return new Config(this.reasoningEffort, this.includeSearch, this.preferences, this.timezone, this.generation);
   }
 }
\ No newline at end of file
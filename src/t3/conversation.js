@@ -0,0 +1,189 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Config } from './config.js';
+import { Message } from './message.js';
+
+/**
+ * A chat with its own thread ID and message history, sent through a shared Client.
+ * 
+ * Create conversations with `client.createConversation()`; any number of them
+ * can be used at once over the same authenticated session.
+ */
+export class Conversation {
+  /**
+   * @param {Client} client - The client whose session is used for requests
+   * @param {Object} options - Conversation defaults
+   * @param {string|null} [options.model] - Default model for the conversation
+   * @param {Config} [options.config] - Default config for the conversation
+   * @param {string|null} [options.threadId] - Existing thread ID to continue
+   * @param {Message[]} [options.messages] - Existing message history
+   * @param {string|null} [options.systemPrompt] - Instructions sent with every request in the conversation
+   * @param {string} [options.id] - Conversation ID used by stores, generated if omitted
+   * @param {ConversationStore} [options.store] - Store the conversation is saved to after each response
+   */
+  constructor(client, { model = null, config = new Config(), threadId = null, messages = [], systemPrompt = null, id = null, store = null } = {}) {
+    this.client = client;
+    this.id = id || uuidv4();
+    this.store = store;
+    this.model = model;
+    this.config = config;
+    this.threadId = threadId;
+    this.messages = [...messages];
+    this.systemPrompt = systemPrompt;
+  }
+
+  /**
+   * Sets the instructions sent with every request in the conversation.
+   * 
+   * They are kept when the messages are cleared, and sent ahead of any
+   * MessageType.SYSTEM messages in the history.
+   * 
+   * @param {string|null} systemPrompt - The instructions, or null to remove them
+   */
+  setSystemPrompt(systemPrompt) {
+    this.systemPrompt = systemPrompt;
+  }
+
+  /**
+   * Gets the instructions sent with every request in the conversation.
+   * 
+   * @returns {string|null} The system prompt or null if none is set
+   */
+  getSystemPrompt() {
+    return this.systemPrompt;
+  }
+
+  /**
+   * Appends a message to the conversation without sending it.
+   * 
+   * @param {Message} message - The message to append
+   */
+  appendMessage(message) {
+    this.messages.push(message);
+  }
+
+  /**
+   * Gets all messages in the conversation.
+   * 
+   * @returns {Message[]} Array of messages
+   */
+  getMessages() {
+    return this.messages;
+  }
+
+  /**
+   * Clears all messages and starts a new thread.
+   */
+  clearMessages() {
+    this.threadId = null;
+    this.messages = [];
+  }
+
+  /**
+   * Gets the thread ID of the conversation.
+   * 
+   * @returns {string|null} The thread ID or null if nothing was sent yet
+   */
+  getThreadId() {
+    return this.threadId;
+  }
+
+  /**
+   * Sends a message in this conversation.
+   * 
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Object} options - Per-call options
+   * @param {string} [options.model] - Model to use instead of the conversation default
+   * @param {Config} [options.config] - Config to use instead of the conversation default
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<Message>} The assistant's response
+   */
+  async send(newMessage = null, options = {}) {
+    const { model, config, ...callOptions } = options;
+    const response = await this.client.sendInConversation(this, this.resolveModel(model), newMessage, config || this.config, callOptions);
+    await this.save();
+    return response;
+  }
+
+  /**
+   * Sends a message in this conversation and returns the reply parsed as JSON.
+   * 
+   * @param {Object|null} schema - JSON schema of the reply, or null for any JSON object
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Object} options - Per-call options, as for send and Client.sendStructured
+   * @returns {Promise<{data: *, message: Message}>} The parsed JSON and the reply it came from
+   */
+  async sendStructured(schema, newMessage = null, options = {}) {
+    const { model, config, ...callOptions } = options;
+    const result = await this.client.sendStructuredInConversation(this, schema, this.resolveModel(model), newMessage, config || this.config, callOptions);
+    await this.save();
+    return result;
+  }
+
+  /**
+   * Sends a message in this conversation and streams the response.
+   * 
+   * @param {Message|null} newMessage - Optional new message to append before sending
+   * @param {Object} options - Per-call options, as for send
+   * @returns {AsyncGenerator<Object>} Stream of response chunks, as yielded by Client.sendStream
+   */
+  async* sendStream(newMessage = null, options = {}) {
+    const { model, config, ...callOptions } = options;
+    yield* this.client.streamInConversation(this, this.resolveModel(model), newMessage, config || this.config, callOptions);
+    await this.save();
+  }
+
+  /**
+   * Saves the conversation to its store, if it has one.
+   * 
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.store) {
+      await this.store.save(this);
+    }
+  }
+
+  /**
+   * Serializes the conversation for a ConversationStore.
+   * 
+   * @returns {Object} The serialized conversation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      threadId: this.threadId,
+      model: this.model,
+      config: this.config.toJSON ? this.config.toJSON() : this.config,
+      systemPrompt: this.systemPrompt,
+      messages: this.messages.map(message => message.toJSON())
+    };
+  }
+
+  /**
+   * Restores a conversation serialized with toJSON.
+   * 
+   * @param {Client} client - The client whose session is used for requests
+   * @param {Object} json - The serialized conversation
+   * @param {ConversationStore|null} store - Store to keep saving the conversation to
+   * @returns {Conversation} The restored Conversation
+   */
+  static fromJSON(client, json, store = null) {
+    return new Conversation(client, {
+      id: json.id,
+      threadId: json.threadId,
+      model: json.model,
+      config: Config.fromJSON(json.config || {}),
+      messages: (json.messages || []).map(message => Message.fromJSON(message)),
+      systemPrompt: json.systemPrompt || null,
+      store
+    });
+  }
+
+  resolveModel(model) {
+    const resolved = model || this.model;
+    if (!resolved) {
+      throw new Error('No model given and the conversation has no default model');
+    }
+    return resolved;
+  }
+}
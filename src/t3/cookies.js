@@ -0,0 +1,164 @@
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './files.js';
+
+/**
+ * Holds the t3.chat session cookies and applies `Set-Cookie` updates.
+ * 
+ * The jar is scoped to a single site, so cookie domains and paths are not
+ * tracked; only names, values and expiry matter.
+ */
+export class CookieJar {
+  /**
+   * @param {string} header - Initial cookies in `Cookie` header form, e.g. 'a=1; b=2'
+   */
+  constructor(header = '') {
+    this.cookies = new Map();
+    for (const part of String(header || '').split(';')) {
+      const separator = part.indexOf('=');
+      if (separator > 0) {
+        this.cookies.set(part.slice(0, separator).trim(), part.slice(separator + 1).trim());
+      }
+    }
+  }
+
+  /**
+   * Gets the value of a cookie.
+   * 
+   * @param {string} name - The cookie name
+   * @returns {string|null} The value, or null if the jar does not hold the cookie
+   */
+  get(name) {
+    return this.cookies.has(name) ? this.cookies.get(name) : null;
+  }
+
+  /**
+   * Sets a cookie value.
+   * 
+   * @param {string} name - The cookie name
+   * @param {string} value - The cookie value
+   * @returns {boolean} True if the jar changed
+   */
+  set(name, value) {
+    if (this.cookies.get(name) === value) return false;
+    this.cookies.set(name, value);
+    return true;
+  }
+
+  /**
+   * Removes a cookie.
+   * 
+   * @param {string} name - The cookie name
+   * @returns {boolean} True if the jar held the cookie
+   */
+  delete(name) {
+    return this.cookies.delete(name);
+  }
+
+  /**
+   * Gets the number of cookies in the jar.
+   * 
+   * @returns {number} The cookie count
+   */
+  get size() {
+    return this.cookies.size;
+  }
+
+  /**
+   * Applies a single `Set-Cookie` header, removing cookies that were expired by the server.
+   * 
+   * @param {string} setCookie - The header value
+   * @returns {boolean} True if the jar changed
+   */
+  setCookie(setCookie) {
+    const [pair, ...attributes] = setCookie.split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return false;
+
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    let maxAge = null;
+    let expires = null;
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const attributeValue = rest.join('=').trim();
+      switch (key.trim().toLowerCase()) {
+        case 'max-age':
+          maxAge = Number(attributeValue);
+          break;
+        case 'expires':
+          expires = Date.parse(attributeValue);
+          break;
+      }
+    }
+
+    // Max-Age wins over Expires when both are given
+    const expired = maxAge !== null && !Number.isNaN(maxAge)
+      ? maxAge <= 0
+      : expires !== null && !Number.isNaN(expires) && expires <= Date.now();
+
+    return expired ? this.delete(name) : this.set(name, value);
+  }
+
+  /**
+   * Applies every `Set-Cookie` header of a transport response.
+   * 
+   * @param {Object} headers - Response headers with lower-cased names
+   * @returns {boolean} True if the jar changed
+   */
+  applyResponseHeaders(headers = {}) {
+    let changed = false;
+    for (const setCookie of CookieJar.splitSetCookie(headers['set-cookie'])) {
+      changed = this.setCookie(setCookie) || changed;
+    }
+    return changed;
+  }
+
+  /**
+   * Serializes the jar for a `Cookie` request header.
+   * 
+   * @returns {string} The cookies as 'name=value' pairs joined by '; '
+   */
+  toHeader() {
+    return [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  toString() {
+    return this.toHeader();
+  }
+
+  /**
+   * Writes the cookies to a file in `Cookie` header form, as accepted by the COOKIES variable.
+   * 
+   * @param {string} path - The file to write
+   * @returns {Promise<void>}
+   */
+  async save(path) {
+    await writeFileAtomic(path, `${this.toHeader()}\n`, 0o600);
+  }
+
+  /**
+   * Reads cookies written by save, or any file holding a `Cookie` header value.
+   * 
+   * @param {string} path - The file to read
+   * @returns {Promise<CookieJar>} The loaded jar
+   */
+  static async load(path) {
+    return new CookieJar((await readFile(path, 'utf8')).trim());
+  }
+
+  /**
+   * Normalizes a `set-cookie` header value into one string per cookie.
+   * 
+   * Transports give either an array or a single comma-joined string; commas
+   * inside `Expires` dates are not treated as separators.
+   * 
+   * @param {string|string[]|undefined} value - The header value
+   * @returns {string[]} The individual Set-Cookie values
+   */
+  static splitSetCookie(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    return value.split(/,(?=\s*[^;,=\s]+=)/).map(part => part.trim());
+  }
+}
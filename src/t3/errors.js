@@ -0,0 +1,220 @@
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Base class for all errors raised by the t3.chat client.
+ */
+export class T3Error extends Error {
+  /**
+   * @param {string} message - Human readable description of the failure
+   * @param {Object} options - Additional error details
+   * @param {number|null} [options.status] - HTTP status returned by t3.chat, if any
+   * @param {*} [options.details] - Raw response body or stream payload
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, { status = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when t3.chat rejects the cookies or session (expired or logged out).
+ */
+export class AuthenticationError extends T3Error {}
+
+/**
+ * Raised when t3.chat rate limits the account or its message quota is used up.
+ */
+export class RateLimitError extends T3Error {
+  /**
+   * @param {string} message - Human readable description of the failure
+   * @param {Object} options - Additional error details
+   * @param {number|null} [options.retryAfter] - Seconds to wait before retrying, if known
+   * @param {boolean} [options.quota] - Whether the quota is exhausted rather than a short-term limit
+   */
+  constructor(message, { retryAfter = null, quota = false, ...options } = {}) {
+    super(message, options);
+    this.retryAfter = retryAfter;
+    this.quota = quota;
+  }
+}
+
+/**
+ * Raised when the requested model does not exist or is not available.
+ */
+export class InvalidModelError extends T3Error {}
+
+/**
+ * Raised before sending when a request needs a capability the model lacks,
+ * such as image input for a model without vision.
+ */
+export class UnsupportedCapabilityError extends T3Error {
+  /**
+   * @param {string} message - Human readable description of the failure
+   * @param {Object} options - Additional error details
+   * @param {string} [options.model] - The model the request was for
+   * @param {string} [options.capability] - The missing capability, one of ModelCapability
+   */
+  constructor(message, { model = null, capability = null, ...options } = {}) {
+    super(message, options);
+    this.model = model;
+    this.capability = capability;
+  }
+}
+
+/**
+ * Raised when the model's reply is not valid JSON or does not match the
+ * requested schema, even after the allowed repair attempts.
+ */
+export class StructuredOutputError extends T3Error {
+  /**
+   * @param {string} message - Human readable description of the failure
+   * @param {Object} options - Additional error details
+   * @param {string} [options.output] - The last reply of the model
+   * @param {string[]} [options.errors] - Why the reply was rejected
+   */
+  constructor(message, { output = null, errors = [], ...options } = {}) {
+    super(message, options);
+    this.output = output;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised for upstream failures: 5xx responses, error events inside the
+ * data stream and responses that violate the protocol.
+ */
+export class UpstreamError extends T3Error {}
+
+/**
+ * Raised when t3.chat cannot be reached.
+ */
+export class NetworkError extends T3Error {}
+
+/**
+ * Raised when a request to t3.chat times out.
+ */
+export class TimeoutError extends NetworkError {}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK', 'UND_ERR_SOCKET'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_TIMEOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+/**
+ * Classifies an error message from t3.chat into the matching error class.
+ * 
+ * @param {string} message - The upstream error message
+ * @param {Object} options - Error options passed to the constructor
+ * @returns {T3Error} The classified error
+ */
+export function errorFromMessage(message, options = {}) {
+  const text = String(message).toLowerCase();
+
+  if (/rate limit|too many requests|quota|credits|limit reached/.test(text)) {
+    return new RateLimitError(message, { ...options, quota: /quota|credits|limit reached/.test(text) });
+  }
+  if (/unauthori[sz]ed|not logged in|sign in|session expired|forbidden/.test(text)) {
+    return new AuthenticationError(message, options);
+  }
+  if (/model/.test(text) && /not found|invalid|unknown|not available|unsupported/.test(text)) {
+    return new InvalidModelError(message, options);
+  }
+  return new UpstreamError(message, options);
+}
+
+/**
+ * Creates the error for a non-2xx response from t3.chat.
+ * 
+ * @param {number} status - The HTTP status code
+ * @param {*} body - The response body
+ * @param {Object} headers - The response headers
+ * @returns {T3Error} The classified error
+ */
+export function errorFromResponse(status, body, headers = {}) {
+  const detail = typeof body === 'string' ? body : JSON.stringify(body);
+  const message = `t3.chat responded with ${status}${detail ? `: ${detail.slice(0, 200)}` : ''}`;
+  const options = { status, details: body };
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message, options);
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    return new RateLimitError(message, { ...options, retryAfter });
+  }
+  if (status === 404) {
+    return new InvalidModelError(message, options);
+  }
+  if (status >= 500) {
+    return new UpstreamError(message, options);
+  }
+  return errorFromMessage(message, options);
+}
+
+/**
+ * Converts any error thrown while talking to t3.chat into a T3Error.
+ * 
+ * Response bodies of streamed requests are read so their details are kept.
+ * 
+ * @param {Error} error - The error thrown by the transport or the client
+ * @returns {Promise<T3Error>} The typed error
+ */
+export async function toT3Error(error) {
+  if (error instanceof T3Error) {
+    return error;
+  }
+
+  if (error.response) {
+    const body = await readBody(error.response.data);
+    return errorFromResponse(error.response.status, body, error.response.headers || {});
+  }
+
+  // fetch reports the underlying system error as the cause
+  const code = error.code || (error.cause && error.cause.code);
+  if (TIMEOUT_ERROR_CODES.includes(code) || error.name === 'TimeoutError') {
+    return new TimeoutError(`Request to t3.chat timed out: ${error.message}`, { cause: error });
+  }
+  if (NETWORK_ERROR_CODES.includes(code) || error.request || error.message === 'fetch failed') {
+    return new NetworkError(`Could not reach t3.chat: ${error.message}`, { cause: error });
+  }
+  return new UpstreamError(error.message, { cause: error });
+}
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date.
+ * 
+ * @param {string|undefined} value - The header value
+ * @returns {number|null} Seconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Reads a response body that may still be a stream into a string.
+ * 
+ * @param {*} data - The response body
+ * @returns {Promise<*>} The body text, or the body itself if it was not a stream
+ */
+export async function readBody(data) {
+  if (data && typeof data[Symbol.asyncIterator] === 'function') {
+    const utf8 = new StringDecoder('utf8');
+    let text = '';
+    try {
+      for await (const chunk of data) {
+        text += typeof chunk === 'string' ? chunk : utf8.write(chunk);
+      }
+    } catch (e) {
+      // Keep whatever was read before the stream failed
+    }
+    return text + utf8.end();
+  }
+  return data;
+}
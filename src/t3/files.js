@@ -0,0 +1,21 @@
+import { mkdir, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Replaces a file in one step, creating its directory if needed.
+ * 
+ * The data is written to a temporary file next to it first, so a crash never
+ * leaves a truncated file behind.
+ * 
+ * @param {string} path - The file to write
+ * @param {string} data - The new contents
+ * @param {number} [mode] - File permissions, e.g. 0o600 for secrets
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data, mode) {
+  const tempPath = `${path}.${uuidv4()}.tmp`;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(tempPath, data, mode === undefined ? {} : { mode });
+  await rename(tempPath, path);
+}
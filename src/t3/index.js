@@ -1,3 +1,24 @@
 export { Client } from './client.js';
+export { Conversation } from './conversation.js';
+export { ConversationStore, JsonFileConversationStore, SqliteConversationStore } from './store.js';
 export { Message, MessageType, ContentType } from './message.js';
-export { Config, ReasoningEffort } from './config.js';
\ No newline at end of file
+export { Config, ReasoningEffort } from './config.js';
+export { RetryPolicy } from './retry.js';
+export { ModelRegistry, ModelInfo, ModelCapability } from './models.js';
+export { Transport, FetchTransport, AxiosTransport, HeaderProfiles } from './transport.js';
+export { CookieJar } from './cookies.js';
+export { StructuredOutput, JsonSchemaValidator } from './structured.js';
+export { TokenCounter } from './tokens.js';
+export { OutputLimiter } from './limits.js';
+export { StreamDecoder, StreamEventType, ResponseAccumulator, parseLine } from './protocol.js';
+export {
+  T3Error,
+  AuthenticationError,
+  RateLimitError,
+  InvalidModelError,
+  UnsupportedCapabilityError,
+  StructuredOutputError,
+  UpstreamError,
+  NetworkError,
+  TimeoutError
+} from './errors.js';
@@ -0,0 +1,134 @@
+import { TokenCounter } from './tokens.js';
+
+/**
+ * Enforces `maxTokens` and `stop` sequences on streamed answer text.
+ * 
+ * t3.chat does not apply these limits itself, so answer text is passed
+ * through the limiter as it arrives. Text that may be the start of a stop
+ * sequence is held back until it can be decided. Once a limit is reached the
+ * limiter is `done`, with `finishReason` set to 'stop' or 'length', and the
+ * caller stops reading the upstream response. Reasoning is not counted.
+ */
+export class OutputLimiter {
+  /**
+   * @param {Object} limits - The limits, both optional
+   * @param {number|null} [limits.maxTokens] - Most answer tokens to pass on
+   * @param {string[]} [limits.stop] - Sequences that end the answer; they are not passed on
+   * @param {string} model - The t3.chat model ID, selecting the token encoding
+   */
+  constructor({ maxTokens = null, stop = [] } = {}, model = null) {
+    this.maxTokens = maxTokens;
+    this.stop = stop.filter(Boolean);
+    this.model = model;
+    this.content = '';
+    this.held = '';
+    this.estimate = 0;
+    this.finishReason = null;
+    this.done = false;
+  }
+
+  /**
+   * Creates the limiter for a request config.
+   * 
+   * @param {Config} config - Configuration for the request
+   * @param {string} model - The t3.chat model ID
+   * @returns {OutputLimiter} The limiter
+   */
+  static forConfig(config, model) {
+    return new OutputLimiter({ maxTokens: config.maxTokens ?? null, stop: config.stop || [] }, model);
+  }
+
+  /**
+   * Checks whether any limit is set.
+   * 
+   * @returns {boolean} True if the limiter can end a response early
+   */
+  get active() {
+    return this.maxTokens !== null || this.stop.length > 0;
+  }
+
+  /**
+   * Feeds the next piece of answer text to the limiter.
+   * 
+   * @param {string} text - The next piece of the answer
+   * @returns {Promise<string>} The text to pass on, possibly empty
+   */
+  async push(text) {
+    if (this.done) return '';
+
+    const pending = this.held + text;
+    this.held = '';
+
+    const stopAt = this.findStop(pending);
+    if (stopAt !== -1) {
+      const passed = await this.emit(pending.slice(0, stopAt));
+      this.finish('stop');
+      return passed;
+    }
+
+    // Hold back a trailing partial stop sequence until the next piece arrives
+    const keep = this.partialStopLength(pending);
+    this.held = pending.slice(pending.length - keep);
+    return this.emit(pending.slice(0, pending.length - keep));
+  }
+
+  /**
+   * Flushes held back text once the upstream response is complete.
+   * 
+   * @returns {Promise<string>} The remaining text to pass on, possibly empty
+   */
+  async end() {
+    if (this.done) return '';
+    const held = this.held;
+    this.held = '';
+    return this.emit(held);
+  }
+
+  async emit(text) {
+    if (!text || this.done) return '';
+    if (this.maxTokens === null) {
+      this.content += text;
+      return text;
+    }
+
+    // Counting pieces separately never undercounts, so the exact count is only needed near the limit
+    this.estimate += await TokenCounter.count(text, this.model);
+    if (this.estimate > this.maxTokens) {
+      const candidate = this.content + text;
+      this.estimate = await TokenCounter.count(candidate, this.model);
+      if (this.estimate > this.maxTokens) {
+        const truncated = await TokenCounter.truncate(candidate, this.maxTokens, this.model);
+        const passed = truncated.length > this.content.length ? truncated.slice(this.content.length) : '';
+        this.content += passed;
+        this.finish('length');
+        return passed;
+      }
+    }
+    this.content += text;
+    return text;
+  }
+
+  finish(reason) {
+    this.finishReason = reason;
+    this.done = true;
+    this.held = '';
+  }
+
+  findStop(text) {
+    const positions = this.stop.map(sequence => text.indexOf(sequence)).filter(position => position !== -1);
+    return positions.length > 0 ? Math.min(...positions) : -1;
+  }
+
+  partialStopLength(text) {
+    let longest = 0;
+    for (const sequence of this.stop) {
+      for (let length = Math.min(text.length, sequence.length - 1); length > longest; length--) {
+        if (sequence.startsWith(text.slice(-length))) {
+          longest = length;
+          break;
+        }
+      }
+    }
+    return longest;
+  }
+}
@@ -1,11 +1,33 @@
+import { readFile } from 'fs/promises';
+import { basename, extname } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Mime types guessed from file extensions when loading attachments from disk.
+ */
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
 /**
  * Represents the role type in a message.
+ * 
+ * System messages hold instructions rather than chat turns; they are sent
+ * through the custom instructions channel instead of the message list.
  */
 export class MessageType {
   static ASSISTANT = 'assistant';
   static USER = 'user';
+  static SYSTEM = 'system';
 }
 
 /**
@@ -21,8 +43,38 @@ export class ContentType {
     return new ContentType('text', content);
   }
 
-  static image(url, base64 = null) {
-    return new ContentType('image', { url, base64 });
+  static image(url, base64 = null, mimeType = null) {
+    return new ContentType('image', { url, base64, mimeType });
+  }
+
+  /**
+   * Creates a document attachment from a URL or base64 encoded data.
+   * 
+   * @param {string} name - The file name shown to the model
+   * @param {string} mimeType - The mime type of the document
+   * @param {string|null} url - The URL of the document
+   * @param {string|null} base64 - Optional base64 encoded document data
+   * @returns {ContentType} A new file ContentType
+   */
+  static file(name, mimeType, url = null, base64 = null) {
+    return new ContentType('file', { name, mimeType, url, base64 });
+  }
+
+  /**
+   * Loads an image or document from disk as a base64 encoded attachment.
+   * 
+   * @param {string} path - Path to the file
+   * @param {string|null} mimeType - Mime type, guessed from the extension if omitted
+   * @returns {Promise<ContentType>} An image or file ContentType
+   */
+  static async fromFile(path, mimeType = null) {
+    const type = mimeType || MIME_TYPES[extname(path).toLowerCase()] || 'application/octet-stream';
+    const base64 = (await readFile(path)).toString('base64');
+
+    if (type.startsWith('image/')) {
+      return ContentType.image(null, base64, type);
+    }
+    return ContentType.file(basename(path), type, null, base64);
   }
 
   isText() {
@@ -33,6 +85,10 @@ export class ContentType {
     return this.type === 'image';
   }
 
+  isFile() {
+    return this.type === 'file';
+  }
+
   getText() {
     return this.isText() ? this.data : null;
   }
@@ -44,6 +100,30 @@ export class ContentType {
   getImageBase64() {
     return this.isImage() ? this.data.base64 : null;
   }
+
+  getMimeType() {
+    return this.isImage() || this.isFile() ? this.data.mimeType : null;
+  }
+
+  /**
+   * Serializes the content type to a plain JSON object.
+   * 
+   * @returns {{type: string, data: *}} The serialized content type
+   */
+  toJSON() {
+    return { type: this.type, data: this.data };
+  }
+
+  /**
+   * Restores a content type serialized with toJSON.
+   * 
+   * @param {{type: string, data: *}} json - The serialized content type
+   * @returns {ContentType} The restored ContentType
+   */
+  static fromJSON(json) {
+    const data = json.data !== null && typeof json.data === 'object' ? { ...json.data } : json.data;
+    return new ContentType(json.type, data);
+  }
 }
 
 /**
@@ -55,12 +135,47 @@ export class Message {
     this.role = role;
     this.content = content;
     this.contentType = contentType;
+    this.reasoning = null;
+    this.finishReason = null;
+    this.attachments = [];
+  }
+
+  /**
+   * Attaches an image or document to this message.
+   * 
+   * @param {ContentType} attachment - An image or file ContentType
+   * @returns {Message} This message for chaining
+   */
+  attach(attachment) {
+    if (!attachment.isImage() && !attachment.isFile()) {
+      throw new Error(`Cannot attach content of type ${attachment.type}`);
+    }
+    this.attachments.push(attachment);
+    return this;
+  }
+
+  /**
+   * Gets the reasoning (thinking) output the model produced for this message.
+   * 
+   * @returns {string|null} The reasoning text or null if none was streamed
+   */
+  getReasoning() {
+    return this.reasoning;
+  }
+
+  /**
+   * Gets why the model stopped writing this message.
+   * 
+   * @returns {string|null} 'stop', 'length' or another upstream finish reason, or null if unknown
+   */
+  getFinishReason() {
+    return this.finishReason;
   }
 
   /**
    * Creates a new text Message with a randomly generated ID.
    * 
-   * @param {string} role - The role of the message sender (MessageType.ASSISTANT or MessageType.USER)
+   * @param {string} role - The role of the message sender (MessageType.ASSISTANT, MessageType.USER or MessageType.SYSTEM)
    * @param {string} content - The content of the message
    * @returns {Message} A new instance of Message with a unique ID
    */
@@ -106,4 +221,39 @@ export class Message {
       ContentType.text(content)
     );
   }
+  /**
+   * Serializes the message, including its content type and attachments.
+   * 
+   * @returns {Object} The serialized message
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      role: this.role,
+      content: this.content,
+      contentType: this.contentType.toJSON(),
+      reasoning: this.reasoning,
+      finishReason: this.finishReason,
+      attachments: this.attachments.map(attachment => attachment.toJSON())
+    };
+  }
+
+  /**
+   * Restores a message serialized with toJSON, keeping its original ID.
+   * 
+   * @param {Object} json - The serialized message
+   * @returns {Message} The restored Message
+   */
+  static fromJSON(json) {
+    const message = new Message(
+      json.id,
+      json.role,
+      json.content,
+      json.contentType ? ContentType.fromJSON(json.contentType) : ContentType.text(json.content)
+    );
+    message.reasoning = json.reasoning || null;
+    message.finishReason = json.finishReason || null;
+    message.attachments = (json.attachments || []).map(attachment => ContentType.fromJSON(attachment));
+    return message;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,239 @@
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { InvalidModelError, UnsupportedCapabilityError } from './errors.js';
+
+const CATALOG_PATH = join(dirname(fileURLToPath(import.meta.url)), 'catalog.json');
+
+/**
+ * Capabilities a model can have.
+ */
+export class ModelCapability {
+  static VISION = 'vision';
+  static IMAGE_GENERATION = 'imageGeneration';
+  static REASONING_EFFORT = 'reasoningEffort';
+  static SEARCH = 'search';
+}
+
+/**
+ * Describes a single t3.chat model.
+ */
+export class ModelInfo {
+  /**
+   * @param {Object} info - Model details
+   * @param {string} info.id - The t3.chat model ID
+   * @param {string} [info.name] - Display name, defaults to the ID
+   * @param {string} [info.provider] - Provider such as 'openai' or 'google'
+   * @param {number|null} [info.contextWindow] - Context window in tokens, if known
+   * @param {Object} [info.capabilities] - Flags keyed by ModelCapability values
+   */
+  constructor({ id, name = null, provider = 'unknown', contextWindow = null, capabilities = {} }) {
+    if (!id) {
+      throw new Error('Model ID is required');
+    }
+    this.id = id;
+    this.name = name || id;
+    this.provider = provider;
+    this.contextWindow = contextWindow;
+    this.capabilities = {
+      vision: Boolean(capabilities.vision),
+      imageGeneration: Boolean(capabilities.imageGeneration),
+      reasoningEffort: Boolean(capabilities.reasoningEffort),
+      search: Boolean(capabilities.search)
+    };
+  }
+
+  /**
+   * Checks whether the model has a capability.
+   * 
+   * @param {string} capability - One of ModelCapability
+   * @returns {boolean} True if the model has the capability
+   */
+  supports(capability) {
+    return this.capabilities[capability] === true;
+  }
+
+  /**
+   * Serializes the model in the catalog file format.
+   * 
+   * @returns {Object} The serialized model
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      provider: this.provider,
+      contextWindow: this.contextWindow,
+      capabilities: { ...this.capabilities }
+    };
+  }
+
+  /**
+   * Restores a model from its catalog entry.
+   * 
+   * @param {Object} json - The catalog entry
+   * @returns {ModelInfo} The model
+   */
+  static fromJSON(json) {
+    return new ModelInfo(json);
+  }
+}
+
+/**
+ * Catalog of known t3.chat models and their capabilities.
+ * 
+ * `ModelRegistry.default()` uses the catalog bundled with the library; load
+ * your own with `fromFile` or merge the live list with `refresh(client)`.
+ * Models missing from the registry are passed through unchecked unless the
+ * registry is strict.
+ */
+export class ModelRegistry {
+  /**
+   * @param {ModelInfo[]|Object[]} models - The models, as ModelInfo or catalog entries
+   * @param {Object} options - Registry settings
+   * @param {boolean} [options.strict] - Reject models that are not in the registry
+   */
+  constructor(models = [], { strict = false } = {}) {
+    this.models = new Map();
+    this.strict = strict;
+    models.forEach(model => this.register(model));
+  }
+
+  /**
+   * Creates a registry from the catalog bundled with the library.
+   * 
+   * @param {Object} options - Registry settings, as for the constructor
+   * @returns {ModelRegistry} The registry
+   */
+  static default(options = {}) {
+    return new ModelRegistry(ModelRegistry.parseCatalog(JSON.parse(readFileSync(CATALOG_PATH, 'utf8'))), options);
+  }
+
+  /**
+   * Creates a registry from a local catalog file.
+   * 
+   * The file holds `{ "models": [...] }` or a plain array of entries shaped
+   * like `ModelInfo.toJSON()`.
+   * 
+   * @param {string} path - Path to the catalog file
+   * @param {Object} options - Registry settings, as for the constructor
+   * @returns {Promise<ModelRegistry>} The registry
+   */
+  static async fromFile(path, options = {}) {
+    return new ModelRegistry(ModelRegistry.parseCatalog(JSON.parse(await readFile(path, 'utf8'))), options);
+  }
+
+  /**
+   * Extracts the model entries from a catalog document.
+   * 
+   * @param {Object|Object[]} catalog - `{ models: [...] }` or an array of entries
+   * @returns {Object[]} The entries
+   */
+  static parseCatalog(catalog) {
+    const models = Array.isArray(catalog) ? catalog : catalog && catalog.models;
+    if (!Array.isArray(models)) {
+      throw new Error('Model catalog must be an array or an object with a models array');
+    }
+    return models;
+  }
+
+  /**
+   * Adds a model, replacing any model with the same ID.
+   * 
+   * @param {ModelInfo|Object} model - The model or its catalog entry
+   * @returns {ModelInfo} The registered model
+   */
+  register(model) {
+    const info = model instanceof ModelInfo ? model : ModelInfo.fromJSON(model);
+    this.models.set(info.id, info);
+    return info;
+  }
+
+  /**
+   * Gets a model by ID.
+   * 
+   * @param {string} id - The t3.chat model ID
+   * @returns {ModelInfo|null} The model, or null if unknown
+   */
+  get(id) {
+    return this.models.get(id) || null;
+  }
+
+  has(id) {
+    return this.models.has(id);
+  }
+
+  /**
+   * Lists all models in registration order.
+   * 
+   * @returns {ModelInfo[]} The models
+   */
+  list() {
+    return [...this.models.values()];
+  }
+
+  /**
+   * Merges the model list served by t3.chat into the registry.
+   * 
+   * Upstream entries replace local ones field by field, so capabilities known
+   * locally are kept when the upstream omits them.
+   * 
+   * @param {Client} client - An initialized client
+   * @returns {Promise<number>} The number of models received
+   */
+  async refresh(client) {
+    const models = ModelRegistry.parseCatalog(await client.listModels());
+    for (const entry of models) {
+      const known = this.get(entry.id);
+      this.register(known
+        ? { ...known.toJSON(), ...entry, capabilities: { ...known.capabilities, ...(entry.capabilities || {}) } }
+        : entry);
+    }
+    return models.length;
+  }
+
+  /**
+   * Throws unless the model has a capability. Unknown models pass unless the registry is strict.
+   * 
+   * @param {string} id - The t3.chat model ID
+   * @param {string} capability - One of ModelCapability
+   * @throws {UnsupportedCapabilityError|InvalidModelError} If the model cannot be used
+   */
+  require(id, capability) {
+    const model = this.resolve(id);
+    if (model && !model.supports(capability)) {
+      throw new UnsupportedCapabilityError(`Model ${id} does not support ${capability}`, { model: id, capability });
+    }
+  }
+
+  /**
+   * Checks that a model can serve a request with these messages and config.
+   * 
+   * Image attachments need vision and `includeSearch` needs search.
+   * 
+   * @param {string} id - The t3.chat model ID
+   * @param {Message[]} messages - The conversation messages
+   * @param {Config} [config] - The request config
+   * @throws {UnsupportedCapabilityError|InvalidModelError} If the model cannot serve the request
+   */
+  validateRequest(id, messages, config = null) {
+    this.resolve(id);
+
+    const hasImages = messages.some(message => (message.attachments || []).some(attachment => attachment.isImage()));
+    if (hasImages) {
+      this.require(id, ModelCapability.VISION);
+    }
+    if (config && config.includeSearch) {
+      this.require(id, ModelCapability.SEARCH);
+    }
+  }
+
+  resolve(id) {
+    const model = this.get(id);
+    if (!model && this.strict) {
+      throw new InvalidModelError(`Unknown model: ${id}`);
+    }
+    return model;
+  }
+}
@@ -0,0 +1,243 @@
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Represents the event types emitted by the t3.chat data stream.
+ */
+export class StreamEventType {
+  static TEXT = 'text';
+  static DATA = 'data';
+  static ERROR = 'error';
+  static ANNOTATIONS = 'annotations';
+  static TOOL_CALL = 'tool-call';
+  static TOOL_RESULT = 'tool-result';
+  static TOOL_CALL_START = 'tool-call-start';
+  static TOOL_CALL_DELTA = 'tool-call-delta';
+  static FINISH_MESSAGE = 'finish-message';
+  static FINISH_STEP = 'finish-step';
+  static START_STEP = 'start-step';
+  static REASONING = 'reasoning';
+  static SOURCE = 'source';
+  static REDACTED_REASONING = 'redacted-reasoning';
+  static REASONING_SIGNATURE = 'reasoning-signature';
+  static FILE = 'file';
+  static UNKNOWN = 'unknown';
+}
+
+/**
+ * Maps each line code of the data stream protocol to its event type.
+ */
+const CODE_TYPES = {
+  '0': StreamEventType.TEXT,
+  '2': StreamEventType.DATA,
+  '3': StreamEventType.ERROR,
+  '8': StreamEventType.ANNOTATIONS,
+  '9': StreamEventType.TOOL_CALL,
+  'a': StreamEventType.TOOL_RESULT,
+  'b': StreamEventType.TOOL_CALL_START,
+  'c': StreamEventType.TOOL_CALL_DELTA,
+  'd': StreamEventType.FINISH_MESSAGE,
+  'e': StreamEventType.FINISH_STEP,
+  'f': StreamEventType.START_STEP,
+  'g': StreamEventType.REASONING,
+  'h': StreamEventType.SOURCE,
+  'i': StreamEventType.REDACTED_REASONING,
+  'j': StreamEventType.REASONING_SIGNATURE,
+  'k': StreamEventType.FILE
+};
+
+/**
+ * Parses a single `code:json` line of the data stream.
+ * 
+ * Lines with a code the protocol does not define, or with a payload that is
+ * not valid JSON, are returned as `unknown` events carrying the raw line so
+ * callers can report them.
+ * 
+ * @param {string} line - A single line without its trailing newline
+ * @returns {Object|null} The parsed event, or null for blank lines
+ */
+export function parseLine(line) {
+  if (line.trim() === '') return null;
+
+  const colonPos = line.indexOf(':');
+  if (colonPos === -1) {
+    return { type: StreamEventType.UNKNOWN, code: null, raw: line };
+  }
+
+  const code = line.substring(0, colonPos);
+  const type = CODE_TYPES[code];
+  if (!type) {
+    return { type: StreamEventType.UNKNOWN, code, raw: line };
+  }
+
+  try {
+    return { type, code, value: JSON.parse(line.substring(colonPos + 1)) };
+  } catch (e) {
+    return { type: StreamEventType.UNKNOWN, code, raw: line, error: e.message };
+  }
+}
+
+/**
+ * Incremental decoder for the t3.chat data stream protocol.
+ * 
+ * Chunks may split lines, and UTF-8 characters, at arbitrary positions;
+ * incomplete lines are buffered until the next chunk or `flush()`.
+ */
+export class StreamDecoder {
+  constructor() {
+    this.buffer = '';
+    this.utf8 = new StringDecoder('utf8');
+  }
+
+  /**
+   * Feeds a chunk of the response body into the decoder.
+   * 
+   * @param {string|Buffer} chunk - The raw chunk
+   * @returns {Object[]} The events completed by this chunk
+   */
+  push(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.utf8.write(chunk);
+
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+
+    return StreamDecoder.parseLines(lines);
+  }
+
+  /**
+   * Decodes whatever remains in the buffer once the body has ended.
+   * 
+   * @returns {Object[]} The events from the trailing line, if any
+   */
+  flush() {
+    const rest = this.buffer + this.utf8.end();
+    this.buffer = '';
+    return StreamDecoder.parseLines([rest]);
+  }
+
+  /**
+   * Decodes a complete response body in one go.
+   * 
+   * @param {string} text - The full response body
+   * @returns {Object[]} All events in the body
+   */
+  static decode(text) {
+    const decoder = new StreamDecoder();
+    return [...decoder.push(text), ...decoder.flush()];
+  }
+
+  /**
+   * Decodes a streamed response body as it arrives.
+   * 
+   * @param {AsyncIterable<string|Buffer>} stream - The response body stream
+   * @returns {AsyncGenerator<Object>} Stream of events
+   */
+  static async* decodeStream(stream) {
+    const decoder = new StreamDecoder();
+    for await (const chunk of stream) {
+      yield* decoder.push(chunk);
+    }
+    yield* decoder.flush();
+  }
+
+  static parseLines(lines) {
+    const events = [];
+    for (const line of lines) {
+      const event = parseLine(line.replace(/\r$/, ''));
+      if (event) events.push(event);
+    }
+    return events;
+  }
+}
+
+/**
+ * Folds decoded stream events into the state of a single response.
+ */
+export class ResponseAccumulator {
+  constructor() {
+    this.content = '';
+    this.reasoning = '';
+    this.imageUrl = null;
+    this.sources = [];
+    this.annotations = [];
+    this.data = [];
+    this.files = [];
+    this.finishReason = null;
+    this.usage = null;
+    this.error = null;
+    this.unknown = [];
+  }
+
+  /**
+   * Applies one event to the accumulated state.
+   * 
+   * @param {Object} event - An event produced by StreamDecoder
+   * @returns {Object} The same event, for chaining in loops
+   */
+  apply(event) {
+    switch (event.type) {
+      case StreamEventType.TEXT:
+        if (typeof event.value === 'string') {
+          this.content += event.value;
+        }
+        break;
+      case StreamEventType.REASONING:
+        if (typeof event.value === 'string') {
+          this.reasoning += event.value;
+        }
+        break;
+      case StreamEventType.DATA:
+        if (Array.isArray(event.value)) {
+          for (const item of event.value) {
+            this.data.push(item);
+            const imageUrl = ResponseAccumulator.imageUrlOf(item);
+            if (imageUrl) {
+              this.imageUrl = imageUrl;
+            }
+          }
+        }
+        break;
+      case StreamEventType.ANNOTATIONS:
+        if (Array.isArray(event.value)) {
+          this.annotations.push(...event.value);
+        }
+        break;
+      case StreamEventType.SOURCE:
+        this.sources.push(event.value);
+        break;
+      case StreamEventType.FILE:
+        this.files.push(event.value);
+        break;
+      case StreamEventType.FINISH_MESSAGE:
+      case StreamEventType.FINISH_STEP:
+        if (event.value && event.value.finishReason) {
+          this.finishReason = event.value.finishReason;
+        }
+        if (event.value && event.value.usage) {
+          this.usage = event.value.usage;
+        }
+        break;
+      case StreamEventType.ERROR:
+        this.error = typeof event.value === 'string' ? event.value : JSON.stringify(event.value);
+        break;
+      case StreamEventType.UNKNOWN:
+        this.unknown.push(event);
+        break;
+    }
+    return event;
+  }
+
+  /**
+   * Extracts the generated image URL from a data item, if it carries one.
+   * 
+   * @param {Object} item - A single item of a `2:` data array
+   * @returns {string|null} The image URL, or null
+   */
+  static imageUrlOf(item) {
+    if (!item || item.type !== 'image-gen' || !item.content) return null;
+    try {
+      return JSON.parse(item.content);
+    } catch (e) {
+      return item.content;
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import { RateLimitError, UpstreamError, NetworkError } from './errors.js';
+
+/**
+ * Retry policy for transient t3.chat failures.
+ * 
+ * Retries 5xx responses, short-term rate limits and network errors with
+ * exponential backoff and jitter, honouring `Retry-After` when t3.chat sends it.
+ * A rate limit asking for a longer wait than `maxDelay` is not retried, so the
+ * caller gets the error and its `retryAfter` instead of a request that hangs.
+ */
+export class RetryPolicy {
+  /**
+   * @param {Object} options - Retry settings
+   * @param {number} [options.maxAttempts] - Total attempts including the first one
+   * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+   * @param {number} [options.maxDelay] - Upper bound for a single delay in milliseconds
+   * @param {number} [options.factor] - Multiplier applied to the delay after each attempt
+   * @param {number} [options.jitter] - Fraction of the delay randomized, between 0 and 1
+   */
+  constructor({ maxAttempts = 3, baseDelay = 500, maxDelay = 10000, factor = 2, jitter = 0.5 } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.jitter = jitter;
+  }
+
+  /**
+   * Creates a policy that never retries.
+   * 
+   * @returns {RetryPolicy} A policy with a single attempt
+   */
+  static none() {
+    return new RetryPolicy({ maxAttempts: 1 });
+  }
+
+  /**
+   * Decides whether a failed attempt should be retried.
+   * 
+   * @param {T3Error} error - The error of the failed attempt
+   * @param {number} attempt - The number of the failed attempt, starting at 1
+   * @returns {boolean} True if another attempt should be made
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts) return false;
+
+    if (error instanceof RateLimitError) {
+      return !error.quota && (error.retryAfter === null || error.retryAfter * 1000 <= this.maxDelay);
+    }
+    if (error instanceof NetworkError) return true;
+    return error instanceof UpstreamError && error.status !== null && error.status >= 500;
+  }
+
+  /**
+   * Computes the delay before the next attempt.
+   * 
+   * @param {number} attempt - The number of the failed attempt, starting at 1
+   * @param {T3Error} error - The error of the failed attempt
+   * @returns {number} Delay in milliseconds
+   */
+  delayFor(attempt, error) {
+    const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+    const delay = backoff - backoff * this.jitter * Math.random();
+
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      return Math.max(delay, error.retryAfter * 1000);
+    }
+    return delay;
+  }
+
+  /**
+   * Waits before the next attempt, ending early if the signal is aborted.
+   * 
+   * @param {number} attempt - The number of the failed attempt, starting at 1
+   * @param {T3Error} error - The error of the failed attempt
+   * @param {AbortSignal} [signal] - Signal that cancels the wait
+   * @returns {Promise<void>}
+   */
+  wait(attempt, error, signal) {
+    const delay = this.delayFor(attempt, error);
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
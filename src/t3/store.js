@@ -0,0 +1,216 @@
+import { mkdir, readFile, readdir, unlink } from 'fs/promises';
+import { dirname, join } from 'path';
+import { writeFileAtomic } from './files.js';
+
+/**
+ * Interface for persisting conversations.
+ * 
+ * Stores work with the plain JSON produced by `Conversation.toJSON()`; use
+ * `client.resumeConversation(store, id)` to continue a saved conversation.
+ */
+export class ConversationStore {
+  /**
+   * Saves a conversation, replacing any earlier version with the same ID.
+   * 
+   * @param {Conversation} conversation - The conversation to save
+   * @returns {Promise<void>}
+   */
+  async save(conversation) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Loads a saved conversation.
+   * 
+   * @param {string} id - The conversation ID
+   * @returns {Promise<Object|null>} The serialized conversation, or null if not found
+   */
+  async load(id) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Lists saved conversations, most recently updated first.
+   * 
+   * @returns {Promise<{id: string, threadId: string|null, model: string|null, messageCount: number, updatedAt: string}[]>} Conversation summaries
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Deletes a saved conversation.
+   * 
+   * @param {string} id - The conversation ID
+   * @returns {Promise<boolean>} True if a conversation was deleted
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  static summarize(json) {
+    return {
+      id: json.id,
+      threadId: json.threadId,
+      model: json.model,
+      messageCount: json.messages.length,
+      updatedAt: json.updatedAt
+    };
+  }
+}
+
+/**
+ * Stores each conversation as a JSON file in a directory.
+ */
+export class JsonFileConversationStore extends ConversationStore {
+  /**
+   * @param {string} directory - Directory holding the conversation files
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async save(conversation) {
+    const json = { ...conversation.toJSON(), updatedAt: new Date().toISOString() };
+    await writeFileAtomic(this.pathFor(json.id), JSON.stringify(json, null, 2));
+  }
+
+  async load(id) {
+    try {
+      return JSON.parse(await readFile(this.pathFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const json = await this.load(file.slice(0, -'.json'.length));
+      if (json) summaries.push(ConversationStore.summarize(json));
+    }
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async delete(id) {
+    try {
+      await unlink(this.pathFor(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  pathFor(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid conversation ID: ${id}`);
+    }
+    return join(this.directory, `${id}.json`);
+  }
+}
+
+/**
+ * Stores conversations in a local SQLite database file.
+ * 
+ * Uses the built-in `node:sqlite` module, available without a flag from
+ * Node.js 22.13 and behind `--experimental-sqlite` on Node.js 22.5 to 22.12.
+ */
+export class SqliteConversationStore extends ConversationStore {
+  /**
+   * @param {string} path - Path to the database file, or ':memory:'
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    let sqlite;
+    try {
+      sqlite = await import('node:sqlite');
+    } catch (error) {
+      throw new Error('SqliteConversationStore requires node:sqlite: Node.js 22.13 or later, or Node.js 22.5 to 22.12 started with --experimental-sqlite', { cause: error });
+    }
+
+    if (this.path !== ':memory:') {
+      await mkdir(dirname(this.path), { recursive: true });
+    }
+    this.db = new sqlite.DatabaseSync(this.path);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        thread_id TEXT,
+        model TEXT,
+        message_count INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    return this.db;
+  }
+
+  async save(conversation) {
+    const db = await this.open();
+    const json = { ...conversation.toJSON(), updatedAt: new Date().toISOString() };
+    db.prepare(`
+      INSERT INTO conversations (id, thread_id, model, message_count, data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        thread_id = excluded.thread_id,
+        model = excluded.model,
+        message_count = excluded.message_count,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `).run(json.id, json.threadId, json.model, json.messages.length, JSON.stringify(json), json.updatedAt);
+  }
+
+  async load(id) {
+    const db = await this.open();
+    const row = db.prepare('SELECT data FROM conversations WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list() {
+    const db = await this.open();
+    return db.prepare(`
+      SELECT id, thread_id, model, message_count, updated_at
+      FROM conversations
+      ORDER BY updated_at DESC
+    `).all().map(row => ({
+      id: row.id,
+      threadId: row.thread_id,
+      model: row.model,
+      messageCount: row.message_count,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    return db.prepare('DELETE FROM conversations WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Closes the database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
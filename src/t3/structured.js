@@ -0,0 +1,234 @@
+import { StructuredOutputError } from './errors.js';
+
+/**
+ * Validates values against a JSON schema.
+ * 
+ * Covers the subset used for structured outputs: `type` (including
+ * `integer` and type lists), `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `anyOf`/`oneOf`/`allOf`, local `$ref`s to
+ * `$defs` or `definitions`, and the length, size, range and `pattern`
+ * keywords. Other keywords are ignored.
+ */
+export class JsonSchemaValidator {
+  /**
+   * @param {Object} schema - The root schema, used to resolve `$ref`s
+   */
+  constructor(schema) {
+    this.root = schema;
+  }
+
+  /**
+   * Validates a value.
+   * 
+   * @param {*} value - The value to check
+   * @param {Object} schema - The JSON schema
+   * @returns {string[]} The problems found, each prefixed with the JSON path; empty if the value is valid
+   */
+  static validate(value, schema) {
+    return new JsonSchemaValidator(schema).check(value, schema, '$');
+  }
+
+  check(value, schema, path) {
+    if (schema === true || schema === undefined || schema === null) return [];
+    if (schema === false) return [`${path}: no value is allowed here`];
+
+    if (schema.$ref) {
+      return this.check(value, this.resolve(schema.$ref), path);
+    }
+
+    const errors = [];
+    const type = JsonSchemaValidator.typeOf(value);
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+      if (!matches) {
+        return [`${path}: expected ${types.join(' or ')}, got ${type}`];
+      }
+    }
+    if (schema.enum && !schema.enum.some(option => JsonSchemaValidator.equal(option, value))) {
+      errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if ('const' in schema && !JsonSchemaValidator.equal(schema.const, value)) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => this.check(value, option, path).length === 0)) {
+      errors.push(`${path}: does not match any of the allowed schemas`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(option => this.check(value, option, path).length === 0).length !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas`);
+    }
+    for (const option of schema.allOf || []) {
+      errors.push(...this.check(value, option, path));
+    }
+
+    if (type === 'object') {
+      errors.push(...this.checkObject(value, schema, path));
+    } else if (type === 'array') {
+      errors.push(...this.checkArray(value, schema, path));
+    } else if (type === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+    } else if (type === 'number' || type === 'integer') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+    return errors;
+  }
+
+  checkObject(value, schema, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path}: missing required property "${name}"`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (name in properties) {
+        errors.push(...this.check(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...this.check(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+    return errors;
+  }
+
+  checkArray(value, schema, path) {
+    const errors = [];
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...this.check(item, schema.items, `${path}[${index}]`)));
+    }
+    return errors;
+  }
+
+  resolve(ref) {
+    const match = /^#\/(\$defs|definitions)\/(.+)$/.exec(ref);
+    const target = match && this.root[match[1]] && this.root[match[1]][match[2]];
+    if (!target) {
+      throw new Error(`Cannot resolve schema reference: ${ref}`);
+    }
+    return target;
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  static equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+/**
+ * Asks a model for JSON and checks its replies.
+ * 
+ * t3.chat has no native JSON mode, so the request is augmented with
+ * instructions, the JSON is extracted from the reply (code fences and
+ * surrounding text are tolerated) and, in strict mode, validated against the
+ * schema. Rejected replies are answered with a repair prompt listing the
+ * problems, up to `maxRepairs` times.
+ */
+export class StructuredOutput {
+  /**
+   * @param {Object} options - Output settings
+   * @param {Object|null} [options.schema] - JSON schema of the reply, or null for any JSON object
+   * @param {string} [options.name] - Name of the schema, shown to the model
+   * @param {boolean} [options.strict] - Validate the reply against the schema, not just parse it
+   * @param {number} [options.maxRepairs] - How often an invalid reply is sent back for repair
+   */
+  constructor({ schema = null, name = 'response', strict = true, maxRepairs = 2 } = {}) {
+    this.schema = schema;
+    this.name = name;
+    this.strict = strict;
+    this.maxRepairs = maxRepairs;
+  }
+
+  /**
+   * Builds the instructions sent after the user's message.
+   * 
+   * @returns {string} The instructions
+   */
+  instructions() {
+    if (!this.schema) {
+      return 'Reply with a single valid JSON object and nothing else: no explanations and no code fences.';
+    }
+    return [
+      `Reply with a single valid JSON value that matches the JSON schema "${this.name}" below, and nothing else: no explanations and no code fences.`,
+      JSON.stringify(this.schema)
+    ].join('\n');
+  }
+
+  /**
+   * Builds the message that asks the model to fix a rejected reply.
+   * 
+   * @param {StructuredOutputError} error - Why the reply was rejected
+   * @returns {string} The repair prompt
+   */
+  repairPrompt(error) {
+    return [
+      'Your previous reply was not valid:',
+      ...error.errors.map(problem => `- ${problem}`),
+      'Reply again with only the corrected JSON.'
+    ].join('\n');
+  }
+
+  /**
+   * Extracts and checks the JSON in a reply.
+   * 
+   * @param {string} text - The model's reply
+   * @returns {*} The parsed value
+   * @throws {StructuredOutputError} If the reply holds no JSON or it does not match the schema
+   */
+  parse(text) {
+    let value;
+    try {
+      value = StructuredOutput.extractJson(text);
+    } catch (error) {
+      throw new StructuredOutputError('The model did not reply with valid JSON', { output: text, errors: [error.message] });
+    }
+
+    const errors = !this.schema
+      ? (JsonSchemaValidator.typeOf(value) === 'object' ? [] : ['$: expected a JSON object'])
+      : this.strict ? JsonSchemaValidator.validate(value, this.schema) : [];
+    if (errors.length > 0) {
+      throw new StructuredOutputError('The model reply does not match the schema', { output: text, errors });
+    }
+    return value;
+  }
+
+  /**
+   * Parses the JSON in a reply, ignoring code fences and text around a single object or array.
+   * 
+   * @param {string} text - The model's reply
+   * @returns {*} The parsed value
+   * @throws {SyntaxError} If no JSON can be parsed
+   */
+  static extractJson(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = /```(?:json)?\s*([\s\S]*?)\s*```/.exec(trimmed);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Fall back to the outermost object or array in the text
+      const start = candidate.search(/[{[]/);
+      const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+      if (start === -1 || end <= start) {
+        throw new SyntaxError('No JSON found in the reply');
+      }
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+  }
+}
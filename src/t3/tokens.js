@@ -0,0 +1,124 @@
+/**
+ * Estimates token counts with the BPE encoding of each model family.
+ * 
+ * t3.chat does not report reliable usage, so tokens are counted locally, both
+ * for usage reports and for enforcing `Config.maxTokens`. Current OpenAI
+ * models use `o200k_base`; other families are estimated with `cl100k_base`.
+ * Encodings are loaded on first use.
+ */
+export class TokenCounter {
+  static FAMILIES = [
+    { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-image|gpt-oss|o\d)/, encoding: 'o200k_base' },
+    { pattern: /.*/, encoding: 'cl100k_base' }
+  ];
+
+  // Chat format overhead per message and for priming the reply, as counted by OpenAI
+  static MESSAGE_TOKENS = 3;
+  static REPLY_TOKENS = 3;
+  // Cost of a low-detail image input
+  static IMAGE_TOKENS = 85;
+
+  static encodings = new Map();
+
+  /**
+   * Gets the name of the encoding used for a model.
+   * 
+   * @param {string} model - The t3.chat model ID
+   * @returns {string} The encoding name
+   */
+  static encodingName(model) {
+    return TokenCounter.FAMILIES.find(family => family.pattern.test(model || '')).encoding;
+  }
+
+  static loadEncoding(name) {
+    if (!TokenCounter.encodings.has(name)) {
+      TokenCounter.encodings.set(name, import(`gpt-tokenizer/encoding/${name}`));
+    }
+    return TokenCounter.encodings.get(name);
+  }
+
+  /**
+   * Counts the tokens in a text.
+   * 
+   * @param {string} text - The text
+   * @param {string} model - The t3.chat model ID, selecting the encoding
+   * @returns {Promise<number>} The token count
+   */
+  static async count(text, model) {
+    if (!text) return 0;
+    const encoding = await TokenCounter.loadEncoding(TokenCounter.encodingName(model));
+    // Special token markers in user text are counted as plain text
+    return encoding.encode(text, { disallowedSpecial: new Set() }).length;
+  }
+
+  /**
+   * Cuts a text down to its first tokens.
+   * 
+   * @param {string} text - The text
+   * @param {number} maxTokens - How many tokens to keep
+   * @param {string} model - The t3.chat model ID, selecting the encoding
+   * @returns {Promise<string>} The start of the text holding at most maxTokens tokens
+   */
+  static async truncate(text, maxTokens, model) {
+    if (!text) return '';
+    const encoding = await TokenCounter.loadEncoding(TokenCounter.encodingName(model));
+    const tokens = encoding.encode(text, { disallowedSpecial: new Set() });
+    if (tokens.length <= maxTokens) return text;
+    // A cut inside a multi-byte character decodes to a replacement character
+    return encoding.decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, '');
+  }
+
+  /**
+   * Counts the prompt tokens of OpenAI chat messages, including text parts and images of array content.
+   * 
+   * @param {Object[]} messages - The OpenAI messages
+   * @param {string} model - The t3.chat model ID, selecting the encoding
+   * @returns {Promise<number>} The token count
+   */
+  static async countMessages(messages, model) {
+    let total = TokenCounter.REPLY_TOKENS;
+
+    for (const message of messages || []) {
+      total += TokenCounter.MESSAGE_TOKENS + await TokenCounter.count(message.role, model);
+      if (message.name) {
+        total += await TokenCounter.count(message.name, model);
+      }
+      for (const call of message.tool_calls || []) {
+        total += await TokenCounter.count(`${call.function.name}${call.function.arguments}`, model);
+      }
+
+      const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+      for (const part of parts) {
+        if (part.type === 'text' && typeof part.text === 'string') {
+          total += await TokenCounter.count(part.text, model);
+        } else if (part.type === 'image_url') {
+          total += TokenCounter.IMAGE_TOKENS;
+        }
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Builds the OpenAI `usage` object of a completion.
+   * 
+   * @param {Object} completion - The completion
+   * @param {string} completion.model - The t3.chat model ID
+   * @param {Object[]} completion.messages - The OpenAI request messages
+   * @param {string} [completion.content] - The answer text
+   * @param {string} [completion.reasoning] - The reasoning text, counted as completion tokens
+   * @returns {Promise<Object>} Integer prompt, completion and total token counts
+   */
+  static async usage({ model, messages, content = '', reasoning = '' }) {
+    const promptTokens = await TokenCounter.countMessages(messages, model);
+    const reasoningTokens = await TokenCounter.count(reasoning, model);
+    const completionTokens = await TokenCounter.count(content, model) + reasoningTokens;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      completion_tokens_details: { reasoning_tokens: reasoningTokens }
+    };
+  }
+}
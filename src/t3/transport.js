@@ -0,0 +1,157 @@
+import { Readable } from 'stream';
+import axios from 'axios';
+
+/**
+ * Browser header profiles sent with every request to t3.chat.
+ */
+export class HeaderProfiles {
+  static CHROME_WINDOWS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+    'accept-language': 'en-US,en;q=0.9',
+    'cache-control': 'no-cache',
+    'pragma': 'no-cache',
+    'priority': 'u=1, i',
+    'sec-ch-ua': '"Not)A;Brand";v="8", "Chromium";v="138", "Google Chrome";v="138"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin'
+  };
+
+  static CHROME_MAC = {
+    ...HeaderProfiles.CHROME_WINDOWS,
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+    'sec-ch-ua-platform': '"macOS"'
+  };
+
+  static FIREFOX_WINDOWS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:140.0) Gecko/20100101 Firefox/140.0',
+    'accept-language': 'en-US,en;q=0.5',
+    'cache-control': 'no-cache',
+    'pragma': 'no-cache',
+    'priority': 'u=4',
+    'sec-fetch-dest': 'empty',
+    'sec-fetch-mode': 'cors',
+    'sec-fetch-site': 'same-origin'
+  };
+}
+
+/**
+ * Base class for the HTTP transport used by Client.
+ * 
+ * A transport knows the base URL and default headers and performs single
+ * requests. It resolves with the response for every HTTP status; only
+ * network failures reject. Subclass it (or pass any object with the same
+ * `baseUrl`, `url()` and `request()` members) to use another HTTP stack or a
+ * mock in tests.
+ */
+export class Transport {
+  /**
+   * @param {Object} options - Transport settings
+   * @param {string} [options.baseUrl] - Base URL of t3.chat or a stand-in server
+   * @param {Object} [options.headers] - Default headers, replacing the browser profile
+   */
+  constructor({ baseUrl = 'https://t3.chat', headers = HeaderProfiles.CHROME_WINDOWS } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.headers = { ...headers, 'origin': this.baseUrl };
+  }
+
+  /**
+   * Resolves a path against the base URL; absolute URLs are returned as is.
+   * 
+   * @param {string} path - A path such as '/api/chat' or an absolute URL
+   * @returns {string} The absolute URL
+   */
+  url(path) {
+    return /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+  }
+
+  /**
+   * Performs a single HTTP request.
+   * 
+   * @param {Object} request - The request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path relative to the base URL, or an absolute URL
+   * @param {Object} [request.headers] - Headers added to the defaults
+   * @param {Object} [request.body] - JSON request body
+   * @param {string} [request.responseType] - 'text', 'stream' or 'arraybuffer'
+   * @param {AbortSignal} [request.signal] - Signal that cancels the request
+   * @returns {Promise<{status: number, headers: Object, data: string|Buffer|Readable}>} The response, with lower-cased header names and `set-cookie` as an array
+   */
+  async request(request) {
+    throw new Error(`${this.constructor.name} does not implement request()`);
+  }
+}
+
+/**
+ * Transport built on the native fetch API (Node.js 18+).
+ */
+export class FetchTransport extends Transport {
+  async request({ method, path, headers = {}, body, responseType = 'text', signal }) {
+    const response = await fetch(this.url(path), {
+      method,
+      headers: { ...this.headers, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+
+    let data;
+    if (responseType === 'stream') {
+      data = response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+    } else if (responseType === 'arraybuffer') {
+      data = Buffer.from(await response.arrayBuffer());
+    } else {
+      data = await response.text();
+    }
+
+    const responseHeaders = Object.fromEntries(response.headers.entries());
+    // Keep Set-Cookie values separate; entries() joins them with commas
+    if (typeof response.headers.getSetCookie === 'function' && responseHeaders['set-cookie']) {
+      responseHeaders['set-cookie'] = response.headers.getSetCookie();
+    }
+
+    return {
+      status: response.status,
+      headers: responseHeaders,
+      data
+    };
+  }
+}
+
+/**
+ * Transport built on axios, for runtimes without a native fetch.
+ */
+export class AxiosTransport extends Transport {
+  constructor(options = {}) {
+    super(options);
+    this.axios = axios.create({ headers: this.headers, validateStatus: () => true });
+  }
+
+  async request({ method, path, headers = {}, body, responseType = 'text', signal }) {
+    const response = await this.axios.request({
+      method,
+      url: this.url(path),
+      headers,
+      data: body,
+      responseType,
+      signal
+    });
+
+    return {
+      status: response.status,
+      headers: { ...response.headers },
+      data: response.data
+    };
+  }
+}
+
+/**
+ * Creates the default transport: fetch when available, axios otherwise.
+ * 
+ * @param {Object} options - Transport settings passed to the constructor
+ * @returns {Transport} The transport
+ */
+export function createDefaultTransport(options = {}) {
+  return typeof fetch === 'function' ? new FetchTransport(options) : new AxiosTransport(options);
+}
@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Emulates OpenAI function calling on top of plain t3.chat text models.
+ * 
+ * The tools are described to the model in an instruction message, and the
+ * model is asked to wrap each call in `<tool_call>` tags holding a JSON
+ * object with `name` and `arguments`. Replies are parsed back into OpenAI
+ * `tool_calls`, in one go or incrementally while streaming. Earlier calls and
+ * `tool` results are written back into the conversation in the same format.
+ */
+export class ToolCallParser {
+  static OPEN = '<tool_call>';
+  static CLOSE = '</tool_call>';
+
+  /**
+   * @param {Object[]} tools - The OpenAI tool definitions; calls to other names are kept as text
+   */
+  constructor(tools) {
+    this.names = new Set(tools.map(tool => tool.function.name));
+    this.buffer = '';
+    this.whitespace = '';
+    this.inCall = false;
+    this.toolCalls = [];
+  }
+
+  /**
+   * Checks the `tools` and `tool_choice` fields of a request.
+   * 
+   * @param {*} tools - The tools field
+   * @param {*} toolChoice - The tool_choice field
+   * @returns {string|null} A description of the problem, or null if the fields are valid
+   */
+  static validate(tools, toolChoice) {
+    if (!Array.isArray(tools)) {
+      return 'tools must be an array';
+    }
+    const invalid = tools.find(tool => !tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string' || !tool.function.name);
+    if (invalid) {
+      return 'Each tool must be {"type": "function", "function": {"name": ...}}';
+    }
+    if (toolChoice && typeof toolChoice === 'object') {
+      const name = toolChoice.function && toolChoice.function.name;
+      if (!tools.some(tool => tool.function.name === name)) {
+        return `tool_choice names a function that is not in tools: ${name}`;
+      }
+    } else if (toolChoice !== undefined && !['none', 'auto', 'required'].includes(toolChoice)) {
+      return `Invalid tool_choice: ${toolChoice}`;
+    }
+    return null;
+  }
+
+  /**
+   * Builds the instruction message that describes the tools to the model.
+   * 
+   * @param {Object[]} tools - The OpenAI tool definitions
+   * @param {Object} options - Call settings
+   * @param {string|Object} [options.toolChoice] - 'auto', 'required' or a specific function
+   * @param {boolean} [options.parallel] - Whether several calls may be made in one reply
+   * @returns {string} The instructions
+   */
+  static instructions(tools, { toolChoice = 'auto', parallel = true } = {}) {
+    const lines = [
+      'You can call the tools listed below. To call a tool, reply with a JSON object wrapped in tags, exactly like this:',
+      `${ToolCallParser.OPEN}{"name": "tool_name", "arguments": {"argument": "value"}}${ToolCallParser.CLOSE}`,
+      'Only call the listed tools, with arguments that match their parameters.',
+      parallel ? 'You may make several calls in one reply, each in its own tags.' : 'Make at most one call per reply.',
+      'After calling tools, stop and wait. The results will be sent back to you in tool_result tags.'
+    ];
+
+    if (toolChoice && typeof toolChoice === 'object') {
+      lines.push(`You must call the tool "${toolChoice.function.name}" in your reply.`);
+    } else if (toolChoice === 'required') {
+      lines.push('You must call at least one tool in your reply.');
+    } else {
+      lines.push('If no tool is needed, answer normally without any tags.');
+    }
+
+    lines.push('', 'Tools:');
+    for (const { function: fn } of tools) {
+      lines.push(`- ${fn.name}${fn.description ? `: ${fn.description}` : ''}`);
+      if (fn.parameters) {
+        lines.push(`  Parameters (JSON schema): ${JSON.stringify(fn.parameters)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Writes the tool calls of an assistant message in the tag format the model is asked to use.
+   * 
+   * @param {Object[]} toolCalls - The OpenAI tool_calls
+   * @returns {string} One tagged call per line
+   */
+  static formatToolCalls(toolCalls) {
+    return toolCalls.map(call => {
+      let args;
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        args = call.function.arguments;
+      }
+      return `${ToolCallParser.OPEN}${JSON.stringify({ name: call.function.name, arguments: args })}${ToolCallParser.CLOSE}`;
+    }).join('\n');
+  }
+
+  /**
+   * Writes the result of a tool call for the model.
+   * 
+   * @param {string} content - The result sent in the tool message
+   * @param {string} id - The tool_call_id
+   * @param {string|null} name - The name of the called tool, if known
+   * @returns {string} The tagged result
+   */
+  static formatToolResult(content, id, name = null) {
+    const attributes = [`id="${id}"`, ...(name ? [`name="${name}"`] : [])].join(' ');
+    return `<tool_result ${attributes}>\n${content}\n</tool_result>`;
+  }
+
+  /**
+   * Splits a complete reply into text and tool calls.
+   * 
+   * @param {string} text - The model's reply
+   * @param {Object[]} tools - The OpenAI tool definitions
+   * @returns {{content: string, toolCalls: Object[]}} The remaining text and the OpenAI tool_calls
+   */
+  static parse(text, tools) {
+    const parser = new ToolCallParser(tools);
+    const events = [...parser.push(text), ...parser.end()];
+    return {
+      content: events.filter(event => event.type === 'content').map(event => event.text).join('').trim(),
+      toolCalls: parser.toolCalls
+    };
+  }
+
+  /**
+   * Feeds streamed text to the parser.
+   * 
+   * Text that may be the start of a tag is held back until it can be decided, and whitespace
+   * is only passed on once more text follows it.
+   * 
+   * @param {string} text - The next piece of the reply
+   * @returns {Object[]} `{type: 'content', text}` and `{type: 'tool_call', index, toolCall}` events
+   */
+  push(text) {
+    this.buffer += text;
+    const events = [];
+
+    while (this.buffer) {
+      if (this.inCall) {
+        const end = this.buffer.indexOf(ToolCallParser.CLOSE);
+        if (end === -1) break;
+
+        const body = this.buffer.slice(0, end);
+        this.buffer = this.buffer.slice(end + ToolCallParser.CLOSE.length);
+        this.inCall = false;
+
+        const toolCall = this.toToolCall(body);
+        if (toolCall) {
+          // Whitespace around calls is not part of the answer
+          this.whitespace = '';
+          this.toolCalls.push(toolCall);
+          events.push({ type: 'tool_call', index: this.toolCalls.length - 1, toolCall });
+        } else {
+          this.emitText(`${ToolCallParser.OPEN}${body}${ToolCallParser.CLOSE}`, events);
+        }
+        continue;
+      }
+
+      const start = this.buffer.indexOf(ToolCallParser.OPEN);
+      if (start !== -1) {
+        this.emitText(this.buffer.slice(0, start), events);
+        this.buffer = this.buffer.slice(start + ToolCallParser.OPEN.length);
+        this.inCall = true;
+        continue;
+      }
+
+      // Hold back a trailing partial '<tool_call>' until the next piece arrives
+      const keep = ToolCallParser.partialTagLength(this.buffer);
+      this.emitText(this.buffer.slice(0, this.buffer.length - keep), events);
+      this.buffer = this.buffer.slice(this.buffer.length - keep);
+      break;
+    }
+    return events;
+  }
+
+  /**
+   * Flushes held back text once the reply is complete; an unterminated call is kept as text.
+   * 
+   * @returns {Object[]} The remaining content events
+   */
+  end() {
+    const events = [];
+    this.emitText(this.inCall ? `${ToolCallParser.OPEN}${this.buffer}` : this.buffer, events);
+    this.buffer = '';
+    this.inCall = false;
+    return events;
+  }
+
+  emitText(text, events) {
+    if (!text) return;
+
+    const pending = this.whitespace + text;
+    const trimmed = pending.trimEnd();
+    this.whitespace = pending.slice(trimmed.length);
+    if (trimmed) {
+      events.push({ type: 'content', text: trimmed });
+    }
+  }
+
+  toToolCall(body) {
+    let call;
+    try {
+      // Models sometimes wrap the JSON in a code fence
+      call = JSON.parse(body.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, ''));
+    } catch (error) {
+      return null;
+    }
+    if (!call || !this.names.has(call.name)) {
+      return null;
+    }
+
+    const args = call.arguments === undefined ? {} : call.arguments;
+    return {
+      id: `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof args === 'string' ? args : JSON.stringify(args)
+      }
+    };
+  }
+
+  static partialTagLength(text) {
+    for (let length = Math.min(text.length, ToolCallParser.OPEN.length - 1); length > 0; length--) {
+      if (ToolCallParser.OPEN.startsWith(text.slice(-length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+}
@@ -0,0 +1,97 @@
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './t3/files.js';
+
+/**
+ * Token usage per day, API key and model, optionally kept in a JSON file.
+ */
+export class UsageLedger {
+  /**
+   * @param {string|null} path - The JSON file holding the ledger, or null to keep it in memory
+   * @param {Object[]} entries - The stored daily entries
+   */
+  constructor(path = null, entries = []) {
+    this.path = path;
+    this.entries = entries;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads a ledger from a file; a missing file gives an empty ledger.
+   * 
+   * @param {string|null} path - The JSON file, or null for an in-memory ledger
+   * @returns {Promise<UsageLedger>} The ledger
+   */
+  static async load(path) {
+    if (!path) return new UsageLedger();
+    try {
+      const json = JSON.parse(await readFile(path, 'utf8'));
+      return new UsageLedger(path, json.entries || []);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new UsageLedger(path);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a request to the daily entry of its key and model.
+   * 
+   * @param {Object} usage - The request usage
+   * @param {string} usage.key - The API key name
+   * @param {string} usage.model - The t3.chat model ID
+   * @param {number} usage.promptTokens - Prompt tokens
+   * @param {number} usage.completionTokens - Completion tokens
+   * @param {Date} [usage.date] - When the request was made
+   * @returns {Promise<void>} Resolves once the ledger is saved
+   */
+  async record({ key, model, promptTokens, completionTokens, date = new Date() }) {
+    const day = date.toISOString().slice(0, 10);
+    let entry = this.entries.find(candidate => candidate.date === day && candidate.key === key && candidate.model === model);
+    if (!entry) {
+      entry = { date: day, key, model, requests: 0, promptTokens: 0, completionTokens: 0 };
+      this.entries.push(entry);
+    }
+
+    entry.requests += 1;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    await this.save();
+  }
+
+  /**
+   * Finds daily entries and their totals.
+   * 
+   * @param {Object} filters - Filters, all optional
+   * @param {string} [filters.key] - Only this API key name
+   * @param {string} [filters.model] - Only this t3.chat model
+   * @param {string} [filters.from] - First day, as YYYY-MM-DD
+   * @param {string} [filters.to] - Last day, as YYYY-MM-DD
+   * @returns {{entries: Object[], totals: Object}} Entries sorted by day, key and model, and their sums
+   */
+  query({ key = null, model = null, from = null, to = null } = {}) {
+    const entries = this.entries
+      .filter(entry => (!key || entry.key === key)
+        && (!model || entry.model === model)
+        && (!from || entry.date >= from)
+        && (!to || entry.date <= to))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.key.localeCompare(b.key) || a.model.localeCompare(b.model))
+      .map(entry => ({ ...entry }));
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    for (const entry of entries) {
+      totals.requests += entry.requests;
+      totals.promptTokens += entry.promptTokens;
+      totals.completionTokens += entry.completionTokens;
+    }
+    return { entries, totals };
+  }
+
+  save() {
+    if (!this.path) return Promise.resolve();
+
+    // Chain writes so an older snapshot never replaces a newer one
+    this.saving = this.saving.catch(() => {}).then(() => (
+      writeFileAtomic(this.path, JSON.stringify({ entries: this.entries }, null, 2))
+    ));
+    return this.saving;
+  }
+}
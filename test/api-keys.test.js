@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ApiKeyStore } from '../src/api-keys.js';
+
+async function withStore(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 't3-keys-'));
+  try {
+    await fn(await ApiKeyStore.load(join(dir, 'keys.json')), join(dir, 'keys.json'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('ApiKeyStore issues keys that verify and stores only their hash', () => withStore(async (store, path) => {
+  assert.deepEqual(store.list(), []);
+
+  const { key, record } = await store.create({ name: 'ci', profile: 'team' });
+  assert.ok(key.startsWith(ApiKeyStore.PREFIX));
+  assert.equal(record.name, 'ci');
+  assert.equal(record.profile, 'team');
+  assert.equal(record.hash, undefined);
+  assert.equal(record.hint, `sk-t3-...${key.slice(-4)}`);
+
+  assert.deepEqual(store.verify(key), record);
+  assert.equal(store.verify(`${key}x`), null);
+  assert.equal(store.verify(null), null);
+
+  const saved = await readFile(path, 'utf8');
+  assert.ok(!saved.includes(key));
+  assert.ok(saved.includes(ApiKeyStore.hash(key)));
+  if (process.platform !== 'win32') {
+    assert.equal((await stat(path)).mode & 0o777, 0o600);
+  }
+
+  const reloaded = await ApiKeyStore.load(path);
+  assert.deepEqual(reloaded.verify(key), record);
+}));
+
+test('ApiKeyStore rejects missing and duplicate active names', () => withStore(async (store) => {
+  await assert.rejects(store.create({}), /name is required/);
+  await store.create({ name: 'ci' });
+  await assert.rejects(store.create({ name: 'ci' }), /already exists/);
+}));
+
+test('ApiKeyStore revokes keys by ID', () => withStore(async (store, path) => {
+  const { key, record } = await store.create({ name: 'ci' });
+
+  const revoked = await store.revoke(record.id);
+  assert.ok(revoked.revokedAt);
+  assert.equal(store.verify(key), null);
+  assert.equal(await store.revoke('key_missing'), null);
+
+  // The name can be reused once the old key is revoked
+  await store.create({ name: 'ci' });
+  assert.equal((await ApiKeyStore.load(path)).list().length, 2);
+}));
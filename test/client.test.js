@@ -0,0 +1,379 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '../src/t3/client.js';
+import { Message, MessageType, ContentType } from '../src/t3/message.js';
+import { Config } from '../src/t3/config.js';
+import { RetryPolicy } from '../src/t3/retry.js';
+import { FetchTransport } from '../src/t3/transport.js';
+import { AuthenticationError, InvalidModelError, RateLimitError, StructuredOutputError, UpstreamError } from '../src/t3/errors.js';
+import { CookieJar } from '../src/t3/cookies.js';
+import { startMockT3Server } from '../src/mock/t3-mock-server.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockT3Server();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+function createClient(options = {}) {
+  return new Client('session=test', 'convex-session', {
+    transport: new FetchTransport({ baseUrl: mock.url }),
+    retryPolicy: RetryPolicy.none(),
+    ...options
+  });
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+test('parseResponse extracts text, reasoning and finish metadata', () => {
+  const client = createClient();
+  const parsed = client.parseResponse([
+    'f:{"messageId":"m1"}',
+    'g:"Thinking..."',
+    '0:"  Hello"',
+    '0:" world  "',
+    'd:{"finishReason":"stop","usage":{"promptTokens":1,"completionTokens":2}}'
+  ].join('\n'));
+
+  assert.equal(parsed.content, 'Hello world');
+  assert.equal(parsed.reasoning, 'Thinking...');
+  assert.equal(parsed.imageUrl, null);
+  assert.equal(parsed.finishReason, 'stop');
+  assert.deepEqual(parsed.usage, { promptTokens: 1, completionTokens: 2 });
+});
+
+test('parseResponse extracts generated images', () => {
+  const parsed = createClient().parseResponse('2:[{"type":"image-gen","content":"\\"https://example.com/cat.png\\""}]\n');
+  assert.equal(parsed.imageUrl, 'https://example.com/cat.png');
+});
+
+test('parseResponse throws typed errors for error events and empty bodies', () => {
+  const client = createClient();
+  assert.throws(() => client.parseResponse('0:"Hi"\n3:"Rate limit exceeded"\n'), RateLimitError);
+  assert.throws(() => client.parseResponse('d:{"finishReason":"stop"}\n'), UpstreamError);
+});
+
+test('parseResponse emits unknown stream lines instead of logging them', () => {
+  const client = createClient();
+  const unknown = [];
+  client.on('unknown-event', event => unknown.push(event));
+
+  assert.equal(client.parseResponse('0:"Hi"\nz:{"new":true}\n').content, 'Hi');
+  assert.deepEqual(unknown.map(event => [event.code, event.raw]), [['z', 'z:{"new":true}']]);
+});
+
+test('buildRequest encodes messages, attachments and config', () => {
+  const client = createClient();
+  const message = Message.new(MessageType.USER, 'Describe this')
+    .attach(ContentType.image(null, 'AQID', 'image/png'));
+  client.appendMessage(message);
+
+  const config = Config.builder().setName('Ada').setIncludeSearch(true).setTimezone('Europe/Berlin').build();
+  const { threadId, body } = client.buildRequest('gemini-2.5-flash', config);
+
+  assert.equal(client.getThreadId(), threadId);
+  assert.equal(body.threadMetadata.id, threadId);
+  assert.equal(body.model, 'gemini-2.5-flash');
+  assert.equal(body.convexSessionId, 'convex-session');
+  assert.deepEqual(body.messages[0].parts, [{ type: 'text', text: 'Describe this' }]);
+  assert.deepEqual(body.messages[0].attachments, [{ name: 'image', contentType: 'image/png', url: 'data:image/png;base64,AQID' }]);
+  assert.deepEqual(body.modelParams, { reasoningEffort: 'medium', includeSearch: true });
+  assert.equal(body.preferences.name, 'Ada');
+  assert.deepEqual(body.userInfo, { timezone: 'Europe/Berlin' });
+});
+
+test('buildRequest sends the system prompt and system messages as custom instructions', () => {
+  const conversation = createClient().createConversation({
+    systemPrompt: 'You are a pirate.',
+    messages: [Message.new(MessageType.SYSTEM, 'Answer in one line.'), Message.new(MessageType.USER, 'Hi')]
+  });
+  const config = Config.builder().setAdditionalInfo('Metric units').build();
+  const { body } = conversation.client.buildRequest('gemini-2.5-flash', config, conversation);
+
+  assert.equal(body.preferences.additionalInfo, 'Metric units\n\nYou are a pirate.\n\nAnswer in one line.');
+  assert.deepEqual(body.messages.map(message => message.role), ['user']);
+});
+
+test('conversations keep their system prompt across requests', async () => {
+  const conversation = createClient().createConversation({ model: 'echo', systemPrompt: 'Be brief.' });
+  await conversation.send(Message.new(MessageType.USER, 'First'));
+  conversation.clearMessages();
+  await conversation.send(Message.new(MessageType.USER, 'Second'));
+
+  assert.equal(conversation.getSystemPrompt(), 'Be brief.');
+  assert.equal(mock.server.requests.at(-1).preferences.additionalInfo, 'Be brief.');
+  conversation.setSystemPrompt(null);
+  await conversation.send(Message.new(MessageType.USER, 'Third'));
+  assert.equal(mock.server.requests.at(-1).preferences.additionalInfo, '');
+});
+
+test('buildRequest forwards sampling parameters only when set', () => {
+  const client = createClient();
+  const config = Config.builder().setTemperature(0.2).setTopP(0.9).setMaxTokens(100).build();
+  const { body } = client.buildRequest('gemini-2.5-flash', config);
+
+  assert.deepEqual(body.modelParams, { reasoningEffort: 'medium', includeSearch: false, temperature: 0.2, topP: 0.9 });
+});
+
+test('init verifies the session is signed in', async () => {
+  assert.equal(await createClient().init(), true);
+
+  const signedOut = createClient();
+  signedOut.cookieJar = new CookieJar('');
+  const expired = [];
+  signedOut.on('session-expired', error => expired.push(error));
+
+  await assert.rejects(signedOut.init(), AuthenticationError);
+  assert.equal(expired.length, 1);
+  assert.ok(expired[0] instanceof AuthenticationError);
+});
+
+test('init only fails the session check on 401 and 403', async () => {
+  // The home page loads, and the session check answers with the given status
+  const checkAnswering = (status) => createClient({
+    transport: {
+      url: (path) => path,
+      request: async ({ path }) => path === '/'
+        ? { status: 200, headers: {}, data: '<html></html>' }
+        : { status, headers: {}, data: 'Not here' }
+    }
+  });
+
+  await assert.rejects(checkAnswering(401).init(), AuthenticationError);
+  await assert.rejects(checkAnswering(403).init(), AuthenticationError);
+  for (const status of [404, 429, 503]) {
+    assert.equal(await checkAnswering(status).init(), true);
+  }
+});
+
+test('applies refreshed cookies and persists them to the cookie file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-client-'));
+  try {
+    const cookieFile = join(dir, 'cookies.txt');
+    const client = createClient();
+    client.cookieJar = new CookieJar('session=old; csrf=1');
+    client.cookieFile = cookieFile;
+    const updates = [];
+    client.on('cookies-updated', jar => updates.push(jar.toHeader()));
+
+    await client.send('mock-session-refresh', Message.new(MessageType.USER, 'Hi'), Config.new());
+
+    assert.equal(client.cookies, 'session=refreshed');
+    assert.deepEqual(updates, ['session=refreshed']);
+    assert.equal(await readFile(cookieFile, 'utf8'), 'session=refreshed\n');
+
+    // The refreshed cookie is sent with the next request
+    const sent = [];
+    const request = client.transport.request.bind(client.transport);
+    client.transport.request = (options) => {
+      sent.push(options.headers.Cookie);
+      return request(options);
+    };
+    await client.send('mock-text', Message.new(MessageType.USER, 'Hi again'), Config.new());
+    assert.deepEqual(sent, ['session=refreshed']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('emits session-expired when a request is rejected', async () => {
+  const client = createClient();
+  const expired = [];
+  client.on('session-expired', error => expired.push(error));
+
+  await assert.rejects(client.send('mock-auth-failure', Message.new(MessageType.USER, 'Hi'), Config.new()), AuthenticationError);
+  await assert.rejects(client.send('mock-unknown-model', null, Config.new()), InvalidModelError);
+  assert.equal(expired.length, 1);
+});
+
+test('send returns the assistant message and keeps the history', async () => {
+  const client = createClient();
+  const response = await client.send('mock-text', Message.new(MessageType.USER, 'Hi'), Config.new());
+
+  assert.equal(response.role, 'assistant');
+  assert.equal(response.content, 'Hello from the mock t3.chat!');
+  assert.equal(client.getMessages().length, 2);
+  assert.ok(client.getThreadId());
+});
+
+test('send keeps reasoning separate from the answer', async () => {
+  const response = await createClient().send('mock-reasoning', Message.new(MessageType.USER, 'What is 6x7?'), Config.new());
+
+  assert.equal(response.content, 'The answer is 42.');
+  assert.equal(response.getReasoning(), 'The user wants a number. Six times seven is 42.');
+});
+
+test('send returns image messages that can be downloaded', async () => {
+  const client = createClient();
+  const response = await client.send('mock-image', Message.new(MessageType.USER, 'Draw a cat'), Config.new());
+
+  assert.ok(response.contentType.isImage());
+  assert.equal(response.contentType.getImageUrl(), `${mock.url}/mock/image.png`);
+
+  await client.downloadImage(response);
+  assert.equal(response.contentType.getMimeType(), 'image/png');
+  assert.ok(response.contentType.getImageBase64().startsWith('iVBOR'));
+});
+
+test('send maps upstream failures to typed errors', async () => {
+  const client = createClient();
+  const config = Config.new();
+
+  await assert.rejects(client.send('mock-error', Message.new(MessageType.USER, 'Hi'), config), UpstreamError);
+  await assert.rejects(client.send('mock-unknown-model', null, config), InvalidModelError);
+  await assert.rejects(client.send('mock-auth-failure', null, config), AuthenticationError);
+  await assert.rejects(client.send('mock-rate-limit', null, config), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfter, 1);
+    return true;
+  });
+});
+
+const WEATHER = {
+  type: 'object',
+  properties: { city: { type: 'string' }, temperature: { type: 'number' } },
+  required: ['city', 'temperature']
+};
+
+test('sendStructured returns the parsed JSON reply', async () => {
+  const client = createClient();
+  const { data, message } = await client.sendStructured(WEATHER, 'mock-json', Message.new(MessageType.USER, 'Weather in Paris?'), Config.new());
+
+  assert.deepEqual(data, { city: 'Paris', temperature: 18 });
+  assert.match(message.content, /^```json/);
+  // The user's message, the instructions and the reply
+  assert.equal(client.getMessages().length, 3);
+  assert.match(mock.server.requests.at(-1).messages.at(-1).parts[0].text, /matches the JSON schema "response"/);
+});
+
+test('sendStructured sends invalid replies back for repair', async () => {
+  const client = createClient();
+  const { data } = await client.sendStructured(WEATHER, 'mock-json-repair', Message.new(MessageType.USER, 'Weather in Paris?'), Config.new());
+
+  assert.deepEqual(data, { city: 'Paris', temperature: 18 });
+  const repair = mock.server.requests.at(-1).messages.at(-1).parts[0].text;
+  assert.match(repair, /missing required property "temperature"/);
+});
+
+test('sendStructured gives up after maxRepairs', async () => {
+  const client = createClient();
+  const sent = mock.server.requests.length;
+
+  await assert.rejects(
+    client.sendStructured(null, 'mock-json-invalid', Message.new(MessageType.USER, 'Hi'), Config.new(), { maxRepairs: 1 }),
+    (error) => {
+      assert.ok(error instanceof StructuredOutputError);
+      assert.equal(error.output, 'Sorry, I cannot answer in JSON.');
+      return true;
+    }
+  );
+  assert.equal(mock.server.requests.length - sent, 2);
+});
+
+test('sendStream yields the same answer as send', async () => {
+  const client = createClient();
+  const chunks = await collect(client.sendStream('mock-reasoning', Message.new(MessageType.USER, 'What is 6x7?'), Config.new()));
+  const done = chunks.at(-1);
+
+  assert.deepEqual(chunks.filter(chunk => chunk.type === 'text').map(chunk => chunk.chunk), ['The answer', ' is 42.']);
+  assert.equal(chunks.filter(chunk => chunk.type === 'reasoning').map(chunk => chunk.text).join(''), 'The user wants a number. Six times seven is 42.');
+  assert.equal(done.type, 'done');
+  assert.equal(done.complete, true);
+  assert.equal(done.finishReason, 'stop');
+  assert.equal(done.fullMessage.content, 'The answer is 42.');
+  assert.equal(client.getMessages().at(-1), done.fullMessage);
+});
+
+test('send cuts the answer at maxTokens', async () => {
+  const config = Config.builder().setMaxTokens(3).build();
+  const response = await createClient().send('echo-model', Message.new(MessageType.USER, 'one two three four five six'), config);
+
+  assert.equal(response.content, 'one two three');
+  assert.equal(response.getFinishReason(), 'length');
+});
+
+test('sendStream cuts the answer before a stop sequence', async () => {
+  const client = createClient();
+  const config = Config.builder().setStop(['four']).build();
+  const chunks = await collect(client.sendStream('echo-model', Message.new(MessageType.USER, 'one two three four five six'), config));
+  const done = chunks.at(-1);
+
+  assert.equal(chunks.filter(chunk => chunk.type === 'text').map(chunk => chunk.chunk).join(''), 'one two three ');
+  assert.equal(done.finishReason, 'stop');
+  assert.equal(done.fullMessage.content, 'one two three');
+  assert.equal(client.getMessages().at(-1), done.fullMessage);
+});
+
+test('sendStream stops reading the upstream response once a limit is reached', async () => {
+  const started = Date.now();
+  const chunks = await collect(createClient().sendStream('mock-slow', Message.new(MessageType.USER, 'Count'), Config.builder().setStop(' two').build()));
+
+  assert.equal(chunks.at(-1).fullMessage.content, 'One');
+  // The fixture keeps writing for another 400ms after ' two'
+  assert.ok(Date.now() - started < 500);
+});
+
+test('sendStream keeps the upstream finish reason when no limit is reached', async () => {
+  const chunks = await collect(createClient().sendStream('mock-text', Message.new(MessageType.USER, 'Hi'), Config.builder().setStop('never').setMaxTokens(100).build()));
+
+  assert.equal(chunks.at(-1).finishReason, 'stop');
+  assert.equal(chunks.at(-1).fullMessage.content, 'Hello from the mock t3.chat!');
+});
+
+test('sendStream stops when the signal is aborted', async () => {
+  const controller = new AbortController();
+  const stream = createClient().sendStream('mock-slow', Message.new(MessageType.USER, 'Count'), Config.new(), { signal: controller.signal });
+
+  const first = await stream.next();
+  assert.equal(first.value.chunk, 'One');
+
+  controller.abort(new Error('cancelled by test'));
+  await assert.rejects(stream.next(), /cancelled by test/);
+});
+
+test('conversations on one client keep separate threads', async () => {
+  const client = createClient();
+  const first = client.createConversation({ model: 'echo' });
+  const second = client.createConversation({ model: 'echo' });
+
+  const [a, b] = await Promise.all([
+    first.send(Message.new(MessageType.USER, 'first')),
+    second.send(Message.new(MessageType.USER, 'second'))
+  ]);
+
+  assert.equal(a.content, 'first');
+  assert.equal(b.content, 'second');
+  assert.notEqual(first.getThreadId(), second.getThreadId());
+  assert.equal(client.getMessages().length, 0);
+});
+
+test('retries rate-limited requests with the retry policy', async () => {
+  let attempts = 0;
+  const transport = {
+    url: (path) => `https://t3.test${path}`,
+    async request() {
+      attempts++;
+      return attempts === 1
+        ? { status: 429, headers: { 'retry-after': '0' }, data: 'Too many requests' }
+        : { status: 200, headers: {}, data: '0:"Recovered"\n' };
+    }
+  };
+  const client = createClient({ transport, retryPolicy: new RetryPolicy({ baseDelay: 1, jitter: 0 }) });
+
+  const response = await client.send('any', Message.new(MessageType.USER, 'Hi'), Config.new());
+  assert.equal(response.content, 'Recovered');
+  assert.equal(attempts, 2);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Config, ReasoningEffort } from '../src/t3/config.js';
+
+test('Config.new uses the defaults', () => {
+  const config = Config.new();
+
+  assert.equal(config.reasoningEffort, ReasoningEffort.MEDIUM);
+  assert.equal(config.includeSearch, false);
+  assert.deepEqual(config.preferences, { name: '', occupation: '', selectedTraits: [], additionalInfo: '' });
+  assert.equal(config.timezone, Config.systemTimezone());
+  assert.equal(config.maxTokens, null);
+  assert.deepEqual(config.stop, []);
+  assert.equal(config.temperature, null);
+  assert.equal(config.topP, null);
+});
+
+test('ConfigBuilder sets every field', () => {
+  const config = Config.builder()
+    .setReasoningEffort(ReasoningEffort.HIGH)
+    .setIncludeSearch(true)
+    .setName('Ada')
+    .setOccupation('Engineer')
+    .setSelectedTraits(['concise'])
+    .addTrait('witty')
+    .setAdditionalInfo('Prefers metric units')
+    .setTimezone('Europe/Berlin')
+    .setMaxTokens(256)
+    .setStop('END')
+    .setTemperature(0.5)
+    .setTopP(0.8)
+    .build();
+
+  assert.equal(config.reasoningEffort, 'high');
+  assert.equal(config.includeSearch, true);
+  assert.deepEqual(config.preferences, {
+    name: 'Ada',
+    occupation: 'Engineer',
+    selectedTraits: ['concise', 'witty'],
+    additionalInfo: 'Prefers metric units'
+  });
+  assert.equal(config.timezone, 'Europe/Berlin');
+  assert.equal(config.maxTokens, 256);
+  assert.deepEqual(config.stop, ['END']);
+  assert.equal(config.temperature, 0.5);
+  assert.equal(config.topP, 0.8);
+});
+
+test('built configs do not share trait arrays with the builder', () => {
+  const builder = Config.builder().addTrait('curious');
+  const first = builder.build();
+  builder.addTrait('blunt');
+
+  assert.deepEqual(first.preferences.selectedTraits, ['curious']);
+});
+
+test('Config survives a toJSON/fromJSON round trip', () => {
+  const config = Config.builder().setReasoningEffort(ReasoningEffort.LOW).setName('Ada').setTimezone('Asia/Tokyo').setMaxTokens(64).setStop(['\n\n']).build();
+  const restored = Config.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+
+  assert.deepEqual(restored.toJSON(), config.toJSON());
+});
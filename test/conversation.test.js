@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '../src/t3/client.js';
+import { Config } from '../src/t3/config.js';
+import { Message, MessageType } from '../src/t3/message.js';
+
+test('concurrent conversations on one client do not share messages or threads', async () => {
+  const bodies = [];
+  // Answer with the last message of each request, after a delay so the requests overlap
+  const transport = {
+    url: (path) => path,
+    request: async ({ body }) => {
+      bodies.push(body);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const text = `Reply to ${body.messages.at(-1).parts[0].text}`;
+      return { status: 200, headers: {}, data: `0:${JSON.stringify(text)}\nd:{"finishReason":"stop"}\n` };
+    }
+  };
+  const client = new Client('session=test', 'convex-session', { transport });
+
+  const markers = Array.from({ length: 6 }, (_, i) => `MARKER-${i}`);
+  const results = await Promise.all(markers.map(async (marker) => {
+    const conversation = client.createConversation({ model: 'gemini-2.5-flash', config: Config.new() });
+    const reply = await conversation.send(Message.new(MessageType.USER, marker));
+    return { conversation, reply };
+  }));
+
+  results.forEach(({ conversation, reply }, i) => {
+    assert.equal(reply.content, `Reply to ${markers[i]}`);
+    assert.deepEqual(conversation.messages.map(message => message.content), [markers[i], `Reply to ${markers[i]}`]);
+  });
+  assert.ok(bodies.every(body => body.messages.length === 1));
+  assert.equal(new Set(bodies.map(body => body.threadMetadata.id)).size, markers.length);
+  assert.equal(client.messages.length, 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CookieJar } from '../src/t3/cookies.js';
+
+test('CookieJar parses and serializes Cookie headers', () => {
+  const jar = new CookieJar('session=abc; theme=dark; token=a=b');
+
+  assert.equal(jar.size, 3);
+  assert.equal(jar.get('session'), 'abc');
+  assert.equal(jar.get('token'), 'a=b');
+  assert.equal(jar.get('missing'), null);
+  assert.equal(jar.toHeader(), 'session=abc; theme=dark; token=a=b');
+  assert.equal(new CookieJar('').toHeader(), '');
+});
+
+test('CookieJar.setCookie updates, adds and expires cookies', () => {
+  const jar = new CookieJar('session=old; csrf=1');
+
+  assert.equal(jar.setCookie('session=new; Path=/; HttpOnly'), true);
+  assert.equal(jar.setCookie('session=new; Path=/'), false);
+  assert.equal(jar.setCookie('extra=1; Expires=Fri, 01 Jan 2100 00:00:00 GMT'), true);
+  assert.equal(jar.setCookie('csrf=; Max-Age=0'), true);
+  assert.equal(jar.setCookie('gone=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT'), false);
+  assert.equal(jar.setCookie('extra=2; Max-Age=60; Expires=Thu, 01 Jan 1970 00:00:00 GMT'), true);
+
+  assert.equal(jar.toHeader(), 'session=new; extra=2');
+});
+
+test('CookieJar.applyResponseHeaders accepts arrays and comma-joined values', () => {
+  const jar = new CookieJar('a=1');
+
+  assert.equal(jar.applyResponseHeaders({}), false);
+  assert.equal(jar.applyResponseHeaders({ 'set-cookie': ['a=2', 'b=3'] }), true);
+  assert.equal(jar.applyResponseHeaders({
+    'set-cookie': 'c=4; Expires=Fri, 01 Jan 2100 00:00:00 GMT; Path=/, b=; Max-Age=0'
+  }), true);
+
+  assert.equal(jar.toHeader(), 'a=2; c=4');
+});
+
+test('CookieJar saves and loads cookie files', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-cookies-'));
+  try {
+    const path = join(dir, 'nested', 'cookies.txt');
+    await new CookieJar('session=abc; theme=dark').save(path);
+
+    assert.equal(await readFile(path, 'utf8'), 'session=abc; theme=dark\n');
+    assert.equal((await CookieJar.load(path)).toHeader(), 'session=abc; theme=dark');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  T3Error,
+  AuthenticationError,
+  RateLimitError,
+  InvalidModelError,
+  UpstreamError,
+  NetworkError,
+  TimeoutError,
+  errorFromMessage,
+  errorFromResponse,
+  toT3Error,
+  parseRetryAfter,
+  readBody
+} from '../src/t3/errors.js';
+import { RetryPolicy } from '../src/t3/retry.js';
+
+test('errorFromMessage classifies upstream error text', () => {
+  assert.ok(errorFromMessage('Too many requests, slow down') instanceof RateLimitError);
+  assert.equal(errorFromMessage('Too many requests').quota, false);
+  assert.equal(errorFromMessage('You are out of credits').quota, true);
+  assert.ok(errorFromMessage('Session expired, please sign in') instanceof AuthenticationError);
+  assert.ok(errorFromMessage('Model foo-1 not found') instanceof InvalidModelError);
+  assert.ok(errorFromMessage('Something broke') instanceof UpstreamError);
+});
+
+test('errorFromResponse maps HTTP statuses', () => {
+  assert.ok(errorFromResponse(401, 'Unauthorized') instanceof AuthenticationError);
+  assert.ok(errorFromResponse(403, '') instanceof AuthenticationError);
+  assert.ok(errorFromResponse(404, 'Not found') instanceof InvalidModelError);
+  assert.ok(errorFromResponse(503, 'Unavailable') instanceof UpstreamError);
+
+  const rateLimit = errorFromResponse(429, 'Slow down', { 'retry-after': '7' });
+  assert.ok(rateLimit instanceof RateLimitError);
+  assert.equal(rateLimit.retryAfter, 7);
+  assert.equal(rateLimit.status, 429);
+  assert.equal(rateLimit.details, 'Slow down');
+});
+
+test('toT3Error wraps transport failures', async () => {
+  const typed = new UpstreamError('kept');
+  assert.equal(await toT3Error(typed), typed);
+
+  const refused = await toT3Error(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+  assert.ok(refused instanceof NetworkError);
+  assert.ok(!(refused instanceof TimeoutError));
+
+  const fetchFailed = await toT3Error(new TypeError('fetch failed', { cause: { code: 'UND_ERR_CONNECT_TIMEOUT' } }));
+  assert.ok(fetchFailed instanceof TimeoutError);
+
+  const unknown = await toT3Error(new Error('boom'));
+  assert.ok(unknown instanceof T3Error);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3);
+  assert.equal(parseRetryAfter(undefined), null);
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const seconds = parseRetryAfter(inTenSeconds);
+  assert.ok(seconds >= 8 && seconds <= 10);
+});
+
+test('readBody decodes characters split across stream chunks', async () => {
+  const bytes = Buffer.from('Überlastet – 稍后再试');
+  async function* chunks() {
+    yield bytes.subarray(0, 1);
+    yield bytes.subarray(1, 14);
+    yield bytes.subarray(14);
+  }
+
+  assert.equal(await readBody(chunks()), 'Überlastet – 稍后再试');
+  assert.equal(await readBody('plain'), 'plain');
+});
+
+test('RetryPolicy retries transient errors only', () => {
+  const policy = new RetryPolicy({ maxAttempts: 3 });
+
+  assert.equal(policy.shouldRetry(new RateLimitError('slow down'), 1), true);
+  assert.equal(policy.shouldRetry(new RateLimitError('quota', { quota: true }), 1), false);
+  assert.equal(policy.shouldRetry(new RateLimitError('soon', { retryAfter: 5 }), 1), true);
+  assert.equal(policy.shouldRetry(new RateLimitError('later', { retryAfter: 3600 }), 1), false);
+  assert.equal(policy.shouldRetry(new NetworkError('reset'), 2), true);
+  assert.equal(policy.shouldRetry(new NetworkError('reset'), 3), false);
+  assert.equal(policy.shouldRetry(new UpstreamError('bad gateway', { status: 502 }), 1), true);
+  assert.equal(policy.shouldRetry(new UpstreamError('stream error'), 1), false);
+  assert.equal(policy.shouldRetry(new AuthenticationError('no'), 1), false);
+  assert.equal(RetryPolicy.none().shouldRetry(new NetworkError('reset'), 1), false);
+});
+
+test('RetryPolicy delays back off and honour Retry-After', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, factor: 2, maxDelay: 300, jitter: 0 });
+
+  assert.equal(policy.delayFor(1, new NetworkError('x')), 100);
+  assert.equal(policy.delayFor(2, new NetworkError('x')), 200);
+  assert.equal(policy.delayFor(5, new NetworkError('x')), 300);
+  assert.equal(policy.delayFor(1, new RateLimitError('x', { retryAfter: 2 })), 2000);
+});
+
+test('RetryPolicy.wait rejects when the signal aborts', async () => {
+  const policy = new RetryPolicy({ baseDelay: 10000, jitter: 0 });
+  const controller = new AbortController();
+  const waiting = policy.wait(1, new NetworkError('x'), controller.signal);
+  controller.abort(new Error('stopped'));
+
+  await assert.rejects(waiting, /stopped/);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeFileAtomic } from '../src/t3/files.js';
+
+test('writeFileAtomic replaces a file without leaving temporary files', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3-files-'));
+  try {
+    const path = join(dir, 'nested', 'secret.txt');
+    await writeFileAtomic(path, 'first', 0o600);
+    await writeFileAtomic(path, 'second', 0o600);
+
+    assert.equal(await readFile(path, 'utf8'), 'second');
+    assert.deepEqual(await readdir(join(dir, 'nested')), ['secret.txt']);
+    if (process.platform !== 'win32') {
+      assert.equal((await stat(path)).mode & 0o777, 0o600);
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
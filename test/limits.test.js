@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutputLimiter } from '../src/t3/limits.js';
+import { Config } from '../src/t3/config.js';
+
+async function feed(limiter, pieces) {
+  const passed = [];
+  for (const piece of pieces) {
+    passed.push(await limiter.push(piece));
+  }
+  passed.push(await limiter.end());
+  return passed;
+}
+
+test('OutputLimiter passes text through without limits', async () => {
+  const limiter = new OutputLimiter();
+
+  assert.equal(limiter.active, false);
+  assert.deepEqual(await feed(limiter, ['Hello ', 'world']), ['Hello ', 'world', '']);
+  assert.equal(limiter.content, 'Hello world');
+  assert.equal(limiter.finishReason, null);
+});
+
+test('OutputLimiter cuts the answer before a stop sequence split across pieces', async () => {
+  const limiter = new OutputLimiter({ stop: ['\n\nEND'] });
+  const passed = await feed(limiter, ['One two', '\n\nE', 'ND and more', ' text']);
+
+  assert.deepEqual(passed, ['One two', '', '', '', '']);
+  assert.equal(limiter.content, 'One two');
+  assert.equal(limiter.finishReason, 'stop');
+  assert.equal(limiter.done, true);
+});
+
+test('OutputLimiter releases held back text that is not a stop sequence', async () => {
+  const limiter = new OutputLimiter({ stop: ['###'] });
+  const passed = await feed(limiter, ['a #', '# b', ' #']);
+
+  assert.deepEqual(passed, ['a ', '## b', ' ', '#']);
+  assert.equal(limiter.finishReason, null);
+});
+
+test('OutputLimiter cuts the answer at maxTokens', async () => {
+  const limiter = new OutputLimiter({ maxTokens: 3 }, 'gpt-4o');
+  const passed = await feed(limiter, ['Hello ', 'world, ', 'how are ', 'you?']);
+
+  assert.equal(passed.join(''), 'Hello world,');
+  assert.equal(limiter.content, 'Hello world,');
+  assert.equal(limiter.finishReason, 'length');
+});
+
+test('OutputLimiter.forConfig reads the limits of a config', () => {
+  const limiter = OutputLimiter.forConfig(Config.builder().setMaxTokens(10).setStop('END').build(), 'gpt-4o');
+
+  assert.equal(limiter.active, true);
+  assert.equal(limiter.maxTokens, 10);
+  assert.deepEqual(limiter.stop, ['END']);
+  assert.equal(OutputLimiter.forConfig(Config.new(), 'gpt-4o').active, false);
+});
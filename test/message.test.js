@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Message, MessageType, ContentType } from '../src/t3/message.js';
+
+test('Message.new creates a text message with a unique ID', () => {
+  const first = Message.new(MessageType.USER, 'Hello');
+  const second = Message.new(MessageType.USER, 'Hello');
+
+  assert.equal(first.role, 'user');
+  assert.equal(first.content, 'Hello');
+  assert.ok(first.contentType.isText());
+  assert.equal(first.contentType.getText(), 'Hello');
+  assert.equal(first.getReasoning(), null);
+  assert.deepEqual(first.attachments, []);
+  assert.notEqual(first.id, second.id);
+});
+
+test('Message.newImage and Message.withId build the expected content', () => {
+  const image = Message.newImage(MessageType.ASSISTANT, 'https://example.com/cat.png', 'aGk=');
+  assert.ok(image.contentType.isImage());
+  assert.equal(image.contentType.getImageUrl(), 'https://example.com/cat.png');
+  assert.equal(image.contentType.getImageBase64(), 'aGk=');
+  assert.equal(image.contentType.getText(), null);
+
+  const withId = Message.withId('fixed-id', MessageType.USER, 'Hi');
+  assert.equal(withId.id, 'fixed-id');
+  assert.equal(withId.contentType.getText(), 'Hi');
+});
+
+test('Message.attach accepts images and files and is chainable', () => {
+  const message = Message.new(MessageType.USER, 'Look')
+    .attach(ContentType.image('https://example.com/a.png'))
+    .attach(ContentType.file('notes.pdf', 'application/pdf', null, 'JVBERi0='));
+
+  assert.equal(message.attachments.length, 2);
+  assert.equal(message.attachments[1].getMimeType(), 'application/pdf');
+  assert.throws(() => message.attach(ContentType.text('nope')), /Cannot attach content of type text/);
+});
+
+test('ContentType.fromFile guesses the type from the extension', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-message-'));
+  try {
+    await writeFile(join(dir, 'pixel.png'), Buffer.from([1, 2, 3]));
+    await writeFile(join(dir, 'notes.md'), '# Notes');
+
+    const image = await ContentType.fromFile(join(dir, 'pixel.png'));
+    assert.ok(image.isImage());
+    assert.equal(image.getMimeType(), 'image/png');
+    assert.equal(image.getImageBase64(), 'AQID');
+
+    const file = await ContentType.fromFile(join(dir, 'notes.md'));
+    assert.ok(file.isFile());
+    assert.equal(file.data.name, 'notes.md');
+    assert.equal(file.getMimeType(), 'text/markdown');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('Message survives a toJSON/fromJSON round trip', () => {
+  const message = Message.new(MessageType.ASSISTANT, 'Answer').attach(ContentType.image('https://example.com/a.png'));
+  message.reasoning = 'Because';
+
+  const restored = Message.fromJSON(JSON.parse(JSON.stringify(message.toJSON())));
+
+  assert.equal(restored.id, message.id);
+  assert.equal(restored.role, 'assistant');
+  assert.equal(restored.getReasoning(), 'Because');
+  assert.ok(restored.contentType.isText());
+  assert.equal(restored.attachments[0].getImageUrl(), 'https://example.com/a.png');
+});
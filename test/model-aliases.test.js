@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ModelAliases } from '../src/model-aliases.js';
+
+test('built-in aliases map OpenAI names and pass others through', () => {
+  const aliases = new ModelAliases();
+
+  assert.deepEqual(aliases.resolve('gpt-4o'), { model: 'gemini-2.5-flash', alias: 'gpt-4o' });
+  assert.deepEqual(aliases.resolve('gemini-2.5-pro'), { model: 'gemini-2.5-pro', alias: null });
+  assert.equal(aliases.passthrough, true);
+  assert.deepEqual(new ModelAliases({ defaults: false }).resolve('gpt-4o'), { model: 'gpt-4o', alias: null });
+});
+
+test('exact rules win over patterns and longer patterns over shorter ones', () => {
+  const aliases = new ModelAliases({
+    defaults: false,
+    aliases: {
+      'gpt-*': 'gemini-2.5-flash',
+      'gpt-4.1*': 'gpt-4.1',
+      'gpt-4o': 'claude-4-sonnet'
+    }
+  });
+
+  assert.equal(aliases.resolve('gpt-4o').model, 'claude-4-sonnet');
+  assert.equal(aliases.resolve('gpt-4.1-nano').model, 'gpt-4.1');
+  assert.deepEqual(aliases.resolve('gpt-5'), { model: 'gemini-2.5-flash', alias: 'gpt-*' });
+  assert.equal(aliases.resolve('o3').model, 'o3');
+});
+
+test('a * in the target is replaced with the matched text', () => {
+  const aliases = new ModelAliases({ aliases: { 't3/*': '*', 'fast-*-model': '*-lite' } });
+
+  assert.equal(aliases.resolve('t3/claude-4-sonnet').model, 'claude-4-sonnet');
+  assert.equal(aliases.resolve('fast-gemini-2.5-flash-model').model, 'gemini-2.5-flash-lite');
+  assert.equal(aliases.resolve('t3.claude').model, 't3.claude');
+});
+
+test('per-key rules are checked before the global ones', () => {
+  const aliases = new ModelAliases({
+    aliases: { 'team-*': 'gemini-2.5-flash' },
+    keys: { 'key-a': { 'gpt-4o': 'claude-4-sonnet', 'team-*': 'o4-mini' } }
+  });
+
+  assert.equal(aliases.resolve('gpt-4o', 'key-a').model, 'claude-4-sonnet');
+  assert.equal(aliases.resolve('team-default', 'key-a').model, 'o4-mini');
+  assert.equal(aliases.resolve('gpt-4o', 'key-b').model, 'gemini-2.5-flash');
+  assert.equal(aliases.resolve('team-default', 'key-b').model, 'gemini-2.5-flash');
+  assert.equal(aliases.list('key-a')['gpt-4o'], 'claude-4-sonnet');
+  assert.equal(aliases.list()['gpt-4o'], 'gemini-2.5-flash');
+  assert.ok(!('team-*' in aliases.list()));
+});
+
+test('ModelAliases.load reads a file and inline pairs', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-aliases-'));
+  try {
+    const file = join(dir, 'aliases.json');
+    await writeFile(file, JSON.stringify({
+      passthrough: false,
+      aliases: { 'gpt-4o': 'gpt-4o', 'my-model': 'o3-mini' },
+      keys: { 'key-a': { 'my-model': 'o4-mini' } }
+    }));
+
+    const aliases = ModelAliases.load({ file, inline: ' my-model = claude-4-sonnet , broken ,x-*=grok-3' });
+
+    assert.equal(aliases.passthrough, false);
+    assert.equal(aliases.resolve('gpt-4o').model, 'gpt-4o');
+    assert.equal(aliases.resolve('gpt-4').model, 'gemini-2.5-flash');
+    assert.equal(aliases.resolve('my-model').model, 'claude-4-sonnet');
+    assert.equal(aliases.resolve('my-model', 'key-a').model, 'o4-mini');
+    assert.equal(aliases.resolve('x-anything').model, 'grok-3');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('ModelAliases.parseInline skips malformed pairs', () => {
+  assert.deepEqual(ModelAliases.parseInline(null), {});
+  assert.deepEqual(ModelAliases.parseInline('a=b,=c,d'), { a: 'b' });
+});
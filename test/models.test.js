@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ModelRegistry, ModelInfo, ModelCapability } from '../src/t3/models.js';
+import { Client } from '../src/t3/client.js';
+import { Message, MessageType, ContentType } from '../src/t3/message.js';
+import { Config } from '../src/t3/config.js';
+import { FetchTransport } from '../src/t3/transport.js';
+import { AuthenticationError, InvalidModelError, UnsupportedCapabilityError } from '../src/t3/errors.js';
+import { startMockT3Server } from '../src/mock/t3-mock-server.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockT3Server();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+function createClient(cookies = 'session=test', options = {}) {
+  return new Client(cookies, 'convex-session', { transport: new FetchTransport({ baseUrl: mock.url }), ...options });
+}
+
+test('ModelInfo normalizes catalog entries', () => {
+  const model = new ModelInfo({ id: 'some-model', capabilities: { vision: 1 } });
+
+  assert.equal(model.name, 'some-model');
+  assert.equal(model.provider, 'unknown');
+  assert.equal(model.contextWindow, null);
+  assert.deepEqual(model.capabilities, { vision: true, imageGeneration: false, reasoningEffort: false, search: false });
+  assert.equal(model.supports(ModelCapability.VISION), true);
+  assert.equal(model.supports(ModelCapability.SEARCH), false);
+  assert.deepEqual(ModelInfo.fromJSON(model.toJSON()), model);
+  assert.throws(() => new ModelInfo({}), /Model ID is required/);
+});
+
+test('ModelRegistry.default loads the bundled catalog', () => {
+  const registry = ModelRegistry.default();
+
+  assert.ok(registry.list().length > 10);
+  assert.equal(registry.get('gemini-2.5-flash').provider, 'google');
+  assert.ok(registry.get('gpt-image-1').supports(ModelCapability.IMAGE_GENERATION));
+  assert.equal(registry.get('missing'), null);
+});
+
+test('ModelRegistry.fromFile accepts a models object or a plain array', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-models-'));
+  try {
+    await writeFile(join(dir, 'object.json'), JSON.stringify({ models: [{ id: 'a' }] }));
+    await writeFile(join(dir, 'array.json'), JSON.stringify([{ id: 'b' }, { id: 'c' }]));
+    await writeFile(join(dir, 'bad.json'), JSON.stringify({ list: [] }));
+
+    assert.deepEqual((await ModelRegistry.fromFile(join(dir, 'object.json'))).list().map(model => model.id), ['a']);
+    assert.deepEqual((await ModelRegistry.fromFile(join(dir, 'array.json'))).list().map(model => model.id), ['b', 'c']);
+    await assert.rejects(ModelRegistry.fromFile(join(dir, 'bad.json')), /models array/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('validateRequest checks vision and search capabilities', () => {
+  const registry = new ModelRegistry([
+    { id: 'text-only', capabilities: { search: false } },
+    { id: 'vision', capabilities: { vision: true, search: true } }
+  ]);
+  const withImage = [Message.new(MessageType.USER, 'What is this?').attach(ContentType.image('https://example.com/a.png'))];
+  const withFile = [Message.new(MessageType.USER, 'Summarize').attach(ContentType.file('a.pdf', 'application/pdf', 'https://example.com/a.pdf'))];
+  const search = Config.builder().setIncludeSearch(true).build();
+
+  assert.throws(() => registry.validateRequest('text-only', withImage), (error) => {
+    assert.ok(error instanceof UnsupportedCapabilityError);
+    assert.equal(error.model, 'text-only');
+    assert.equal(error.capability, ModelCapability.VISION);
+    return true;
+  });
+  assert.throws(() => registry.validateRequest('text-only', [], search), UnsupportedCapabilityError);
+  registry.validateRequest('text-only', withFile, Config.new());
+  registry.validateRequest('vision', withImage, search);
+  registry.validateRequest('unknown-model', withImage, search);
+});
+
+test('strict registries reject unknown models', () => {
+  const registry = new ModelRegistry([{ id: 'known' }], { strict: true });
+
+  assert.throws(() => registry.validateRequest('unknown-model', []), InvalidModelError);
+  assert.throws(() => registry.require('unknown-model', ModelCapability.VISION), InvalidModelError);
+  registry.validateRequest('known', []);
+});
+
+test('refresh merges the upstream model list', async () => {
+  const registry = new ModelRegistry([
+    { id: 'mock-text', name: 'Local name', contextWindow: 1000, capabilities: { search: true } },
+    { id: 'local-only' }
+  ]);
+
+  assert.equal(await registry.refresh(createClient()), 4);
+  assert.equal(registry.get('mock-text').name, 'Mock Text');
+  assert.equal(registry.get('mock-text').contextWindow, 8192);
+  assert.ok(registry.get('mock-image').supports(ModelCapability.IMAGE_GENERATION));
+  assert.ok(registry.has('local-only'));
+
+  await assert.rejects(registry.refresh(createClient('')), AuthenticationError);
+});
+
+test('clients with a registry validate before sending', async () => {
+  const client = createClient('session=test', { modelRegistry: await refreshedRegistry() });
+  const message = Message.new(MessageType.USER, 'Describe').attach(ContentType.image('https://example.com/a.png'));
+  const requestCount = mock.server.requests.length;
+
+  await assert.rejects(client.send('mock-text', message, Config.new()), UnsupportedCapabilityError);
+  await assert.rejects(client.sendStream('mock-text', message, Config.new()).next(), UnsupportedCapabilityError);
+  assert.equal(client.getMessages().length, 0);
+  assert.equal(mock.server.requests.length, requestCount);
+
+  const response = await client.send('echo', message, Config.new());
+  assert.equal(response.content, 'Describe');
+});
+
+async function refreshedRegistry() {
+  const registry = new ModelRegistry();
+  await registry.refresh(createClient());
+  return registry;
+}
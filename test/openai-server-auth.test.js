@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockT3Server } from '../src/mock/t3-mock-server.js';
+
+const ADMIN_TOKEN = 'admin-secret';
+
+let dir;
+let mock;
+let server;
+let baseUrl;
+
+// The server reads its key and profile settings at import time
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 't3-auth-'));
+  mock = await startMockT3Server();
+
+  await writeFile(join(dir, 'credentials.json'), JSON.stringify({
+    team: { cookies: 'session=team', convexSessionId: 'team-session' }
+  }));
+  process.env.T3_BASE_URL = mock.url;
+  process.env.API_KEYS_FILE = join(dir, 'keys.json');
+  process.env.CREDENTIALS_FILE = join(dir, 'credentials.json');
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+
+  const { default: app } = await import('../src/openai-server.js');
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  await mock.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+function request(method, path, token, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function chat(token) {
+  return request('POST', '/v1/chat/completions', token, {
+    model: 'mock-text',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+}
+
+test('missing and unknown API keys get OpenAI 401 errors', async () => {
+  const missing = await chat(null);
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).error.code, 'invalid_api_key');
+
+  const unknown = await chat('sk-t3-unknown-key-1234');
+  assert.equal(unknown.status, 401);
+  const { error } = await unknown.json();
+  assert.equal(error.type, 'invalid_request_error');
+  assert.equal(error.code, 'invalid_api_key');
+  assert.match(error.message, /Incorrect API key provided: sk-t3-\.\.\.1234/);
+  assert.ok(!error.message.includes('unknown-key'));
+
+  // Legacy cookies:convexSessionId keys are not accepted once keys are issued by the server
+  assert.equal((await chat('session=team:team-session')).status, 401);
+  assert.equal((await request('GET', '/v1/models', null)).status, 401);
+});
+
+test('admin endpoints require the admin token', async () => {
+  assert.equal((await request('GET', '/admin/keys', null)).status, 401);
+  assert.equal((await request('GET', '/admin/keys', 'wrong')).status, 401);
+  assert.equal((await request('POST', '/admin/keys', 'wrong', { name: 'x' })).status, 401);
+  assert.equal((await request('GET', '/admin/keys', ADMIN_TOKEN)).status, 200);
+});
+
+test('issued keys use their credential profile until revoked', async () => {
+  const created = await request('POST', '/admin/keys', ADMIN_TOKEN, { name: 'ci', profile: 'team' });
+  assert.equal(created.status, 201);
+  const { key, id, profile } = await created.json();
+  assert.equal(profile, 'team');
+
+  const response = await chat(key);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).choices[0].message.content, 'Hello from the mock t3.chat!');
+  assert.equal(mock.server.requests.at(-1).convexSessionId, 'team-session');
+
+  // Usage is recorded under the key name
+  const usage = await (await request('GET', '/admin/usage?key=ci', ADMIN_TOKEN)).json();
+  assert.deepEqual(usage.data.map(entry => [entry.key, entry.model, entry.requests]), [['ci', 'mock-text', 1]]);
+  assert.equal((await request('GET', '/admin/usage', key)).status, 401);
+
+  const list = await (await request('GET', '/admin/keys', ADMIN_TOKEN)).json();
+  assert.ok(list.data.some(record => record.id === id && !record.hash));
+
+  const revoked = await request('DELETE', `/admin/keys/${id}`, ADMIN_TOKEN);
+  assert.equal(revoked.status, 200);
+  assert.ok((await revoked.json()).revokedAt);
+  assert.equal((await chat(key)).status, 401);
+
+  assert.equal((await request('DELETE', '/admin/keys/key_missing', ADMIN_TOKEN)).status, 404);
+});
+
+test('a rejected t3.chat session does not blame an issued key', async () => {
+  const { key } = await (await request('POST', '/admin/keys', ADMIN_TOKEN, { name: 'expired', profile: 'team' })).json();
+
+  const response = await request('POST', '/v1/chat/completions', key, {
+    model: 'mock-auth-failure',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(response.status, 502);
+  const { error } = await response.json();
+  assert.equal(error.type, 'api_error');
+  assert.equal(error.code, 'upstream_authentication_error');
+});
+
+test('keys cannot be issued for unknown profiles or duplicate names', async () => {
+  const unknownProfile = await request('POST', '/admin/keys', ADMIN_TOKEN, { name: 'other', profile: 'missing' });
+  assert.equal(unknownProfile.status, 400);
+  assert.equal((await unknownProfile.json()).error.code, 'invalid_profile');
+
+  await request('POST', '/admin/keys', ADMIN_TOKEN, { name: 'dup', profile: 'team' });
+  const duplicate = await request('POST', '/admin/keys', ADMIN_TOKEN, { name: 'dup', profile: 'team' });
+  assert.equal(duplicate.status, 400);
+});
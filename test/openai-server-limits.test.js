@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockT3Server } from '../src/mock/t3-mock-server.js';
+
+// Credentials in the `cookies:convexSessionId` API key format, which is also the key name
+const API_KEY = 'session=test:convex-session';
+const SLOW_KEY = 'session=slow:convex-session';
+const CHOICES_KEY = 'session=choices:convex-session';
+const IMAGES_KEY = 'session=images:convex-session';
+const BLOCKED_KEY = 'session=blocked:convex-session';
+
+let dir;
+let mock;
+let server;
+let baseUrl;
+
+// The server reads RATE_LIMITS_FILE at import time
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 't3-limits-'));
+  mock = await startMockT3Server();
+
+  await writeFile(join(dir, 'limits.json'), JSON.stringify({
+    [API_KEY]: { requestsPerMinute: 2, allowedModels: ['mock-*'] },
+    [SLOW_KEY]: { concurrentStreams: 1 },
+    [CHOICES_KEY]: { dailyMessages: 3 },
+    [IMAGES_KEY]: { dailyMessages: 3, allowedModels: ['mock-image'] },
+    [BLOCKED_KEY]: { allowedModels: [] }
+  }));
+  process.env.T3_BASE_URL = mock.url;
+  process.env.RATE_LIMITS_FILE = join(dir, 'limits.json');
+  process.env.MODEL_ALIASES = 'dall-e-3=mock-image';
+
+  const { default: app } = await import('../src/openai-server.js');
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  await mock.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+function chat(apiKey, model = 'mock-text', stream = false, fields = {}) {
+  return fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+    body: JSON.stringify({ model, stream, messages: [{ role: 'user', content: 'Hi' }], ...fields })
+  });
+}
+
+test('models outside allowedModels are rejected without counting a request', async () => {
+  const response = await chat(API_KEY, 'gemini-2.5-flash');
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.code, 'model_not_found');
+});
+
+test('requests outside the limits never sign in to t3.chat', async () => {
+  const upstream = [];
+  const record = (req) => upstream.push(req.url);
+  mock.server.on('request', record);
+  try {
+    const response = await chat(BLOCKED_KEY);
+    assert.equal(response.status, 404);
+    await response.json();
+  } finally {
+    mock.server.off('request', record);
+  }
+  assert.deepEqual(upstream, []);
+});
+
+test('requests over the per-minute limit get 429 with Retry-After', async () => {
+  const first = await chat(API_KEY);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-limit-requests'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining-requests'), '1');
+  await first.json();
+
+  assert.equal((await chat(API_KEY)).status, 200);
+
+  const limited = await chat(API_KEY);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(limited.headers.get('x-ratelimit-remaining-requests'), '0');
+  const { error } = await limited.json();
+  assert.equal(error.code, 'rate_limit_exceeded');
+});
+
+test('a second stream waits for the first to finish', async () => {
+  const first = await chat(SLOW_KEY, 'mock-slow', true);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-remaining-concurrent-streams'), '0');
+
+  const second = await chat(SLOW_KEY, 'mock-text', true);
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).error.code, 'rate_limit_exceeded');
+
+  // Requests that do not stream take no stream slot
+  const plain = await chat(SLOW_KEY, 'mock-text', false);
+  assert.equal(plain.status, 200);
+  await plain.json();
+
+  await first.text();
+  // The slot is freed once the server has closed the response
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const third = await chat(SLOW_KEY, 'mock-text', true);
+  assert.equal(third.status, 200);
+  await third.text();
+});
+
+test('every choice counts against the limits', async () => {
+  const first = await chat(CHOICES_KEY, 'mock-text', false, { n: 2 });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-remaining-daily-messages'), '1');
+  assert.equal((await first.json()).choices.length, 2);
+
+  const second = await chat(CHOICES_KEY, 'mock-text', false, { n: 2 });
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).error.code, 'rate_limit_exceeded');
+
+  assert.equal((await chat(CHOICES_KEY)).status, 200);
+});
+
+test('image generations are limited like chat completions', async () => {
+  const generate = (model, n) => fetch(`${baseUrl}/v1/images/generations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${IMAGES_KEY}` },
+    body: JSON.stringify({ model, n, prompt: 'A cat' })
+  });
+
+  const forbidden = await generate('gpt-image-1', 1);
+  assert.equal(forbidden.status, 404);
+  assert.equal((await forbidden.json()).error.code, 'model_not_found');
+
+  const first = await generate('mock-image', 2);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-remaining-daily-messages'), '1');
+  assert.equal((await first.json()).data.length, 2);
+
+  // Image model names go through the aliases, which win over the built-in DALL-E mapping
+  const aliased = await generate('dall-e-3', 1);
+  assert.equal(aliased.headers.get('x-t3-model'), 'mock-image');
+  assert.equal(aliased.headers.get('x-ratelimit-remaining-daily-messages'), '0');
+  await aliased.json();
+
+  const limited = await generate('mock-image', 2);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await limited.json()).error.code, 'rate_limit_exceeded');
+});
@@ -0,0 +1,876 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import app, {
+  buildConfig,
+  toOpenAIError,
+  convertOpenAIMessagesToT3,
+  mapModelName,
+  mapImageModelName,
+  createCompletionChunk,
+  formatSSE,
+  usageLedger
+} from '../src/openai-server.js';
+import {
+  T3Error,
+  AuthenticationError,
+  RateLimitError,
+  InvalidModelError,
+  UnsupportedCapabilityError,
+  StructuredOutputError,
+  UpstreamError,
+  NetworkError,
+  TimeoutError
+} from '../src/t3/errors.js';
+import { startMockT3Server } from '../src/mock/t3-mock-server.js';
+
+// Credentials in the `cookies:convexSessionId` API key format
+const API_KEY = 'session=test:convex-session';
+
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+  mock = await startMockT3Server();
+  process.env.T3_BASE_URL = mock.url;
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  await mock.close();
+  delete process.env.T3_BASE_URL;
+});
+
+function postJson(path, body, apiKey = API_KEY, signal = undefined) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+function parseSSE(text) {
+  return text.split('\n\n')
+    .filter(frame => frame.startsWith('data: '))
+    .map(frame => frame.slice('data: '.length))
+    .map(data => data === '[DONE]' ? data : JSON.parse(data));
+}
+
+test('mapModelName maps OpenAI names and passes others through', () => {
+  assert.equal(mapModelName('gpt-4'), 'gemini-2.5-flash');
+  assert.equal(mapModelName('gpt-4o-mini'), 'gemini-2.5-flash-lite');
+  assert.equal(mapModelName('claude-3-sonnet'), 'claude-3.5-sonnet');
+  assert.equal(mapModelName('gemini-2.5-pro'), 'gemini-2.5-pro');
+});
+
+test('mapImageModelName maps DALL-E names to the image model', () => {
+  assert.equal(mapImageModelName('dall-e-3'), process.env.IMAGE_MODEL || 'gpt-image-1');
+  assert.equal(mapImageModelName('mock-image'), 'mock-image');
+  assert.equal(mapImageModelName(undefined), process.env.IMAGE_MODEL || 'gpt-image-1');
+});
+
+test('convertOpenAIMessagesToT3 maps roles and text content', () => {
+  const messages = convertOpenAIMessagesToT3([
+    { role: 'system', content: 'Be brief' },
+    { role: 'developer', content: 'Use metric units' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' }
+  ]);
+
+  assert.deepEqual(messages.map(message => [message.role, message.content]), [
+    ['system', 'Be brief'],
+    ['system', 'Use metric units'],
+    ['user', 'Hi'],
+    ['assistant', 'Hello!']
+  ]);
+});
+
+test('convertOpenAIMessagesToT3 turns content parts into text and attachments', () => {
+  const [message] = convertOpenAIMessagesToT3([{
+    role: 'user',
+    content: [
+      { type: 'text', text: 'What is in' },
+      { type: 'text', text: 'these files?' },
+      { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/' } },
+      { type: 'file', file: { filename: 'report.pdf', file_data: 'data:application/pdf;base64,JVBERi0=' } }
+    ]
+  }]);
+
+  assert.equal(message.content, 'What is in\nthese files?');
+  assert.equal(message.attachments.length, 3);
+  assert.equal(message.attachments[0].getImageUrl(), 'https://example.com/cat.png');
+  assert.equal(message.attachments[1].getImageBase64(), '/9j/');
+  assert.equal(message.attachments[1].getMimeType(), 'image/jpeg');
+  assert.equal(message.attachments[2].data.name, 'report.pdf');
+  assert.equal(message.attachments[2].getMimeType(), 'application/pdf');
+});
+
+test('buildConfig reads preferences and timezone from the request body', () => {
+  const config = buildConfig('some-key', {
+    preferences: { name: 'Ada', selected_traits: ['concise'], additional_info: 'Metric units' },
+    timezone: 'Europe/Berlin'
+  });
+
+  assert.equal(config.preferences.name, 'Ada');
+  assert.deepEqual(config.preferences.selectedTraits, ['concise']);
+  assert.equal(config.preferences.additionalInfo, 'Metric units');
+  assert.equal(config.timezone, 'Europe/Berlin');
+});
+
+test('buildConfig reads output limits and sampling fields', () => {
+  const config = buildConfig('some-key', { max_tokens: 50, max_completion_tokens: 20, stop: 'END', temperature: 0.3, top_p: 0.9 });
+
+  assert.equal(config.maxTokens, 20);
+  assert.deepEqual(config.stop, ['END']);
+  assert.equal(config.temperature, 0.3);
+  assert.equal(config.topP, 0.9);
+  assert.equal(buildConfig('some-key', { max_tokens: 50 }).maxTokens, 50);
+});
+
+test('createCompletionChunk and formatSSE frame streaming events', () => {
+  const chunk = createCompletionChunk('chatcmpl-1', 123, 'gpt-4', { content: 'Hi' });
+
+  assert.deepEqual(chunk, {
+    id: 'chatcmpl-1',
+    object: 'chat.completion.chunk',
+    created: 123,
+    model: 'gpt-4',
+    choices: [{ index: 0, delta: { content: 'Hi' }, finish_reason: null }]
+  });
+  assert.equal(createCompletionChunk('chatcmpl-1', 123, 'gpt-4', {}, 'stop').choices[0].finish_reason, 'stop');
+  assert.equal(formatSSE(chunk), `data: ${JSON.stringify(chunk)}\n\n`);
+  assert.equal(formatSSE('[DONE]'), 'data: [DONE]\n\n');
+});
+
+test('toOpenAIError maps client errors to OpenAI statuses and codes', () => {
+  const cases = [
+    [new AuthenticationError('no'), 401, 'authentication_error', 'invalid_api_key'],
+    [new RateLimitError('slow'), 429, 'requests', 'rate_limit_exceeded'],
+    [new RateLimitError('quota', { quota: true }), 429, 'insufficient_quota', 'insufficient_quota'],
+    [new InvalidModelError('missing'), 404, 'invalid_request_error', 'model_not_found'],
+    [new UnsupportedCapabilityError('no vision'), 400, 'invalid_request_error', 'unsupported_capability'],
+    [new StructuredOutputError('not json'), 502, 'api_error', 'invalid_structured_output'],
+    [new TimeoutError('slow'), 504, 'api_error', 'timeout'],
+    [new NetworkError('down'), 502, 'api_error', 'network_error'],
+    [new UpstreamError('broken'), 502, 'api_error', 'upstream_error'],
+    [new T3Error('odd'), 500, 'internal_server_error', 'internal_error'],
+    [new Error('bug'), 500, 'internal_server_error', 'internal_error']
+  ];
+
+  for (const [error, status, type, code] of cases) {
+    const mapped = toOpenAIError(error);
+    assert.equal(mapped.status, status, error.message);
+    assert.equal(mapped.body.error.type, type, error.message);
+    assert.equal(mapped.body.error.code, code, error.message);
+    assert.equal(mapped.body.error.message, error.message);
+  }
+
+  // With server-held credentials a rejected session is not the caller's fault
+  const sessionError = toOpenAIError(new AuthenticationError('expired'), { keyName: 'ci', profile: 'default' });
+  assert.equal(sessionError.status, 502);
+  assert.equal(sessionError.body.error.code, 'upstream_authentication_error');
+  assert.equal(toOpenAIError(new AuthenticationError('expired'), { keyName: 'a:b', profile: null }).status, 401);
+
+  assert.equal(toOpenAIError(new UpstreamError('bad gateway', { status: 503 })).body.error.upstream_status, 503);
+  assert.equal(toOpenAIError(new UpstreamError('stream error')).body.error.upstream_status, undefined);
+});
+
+test('POST /v1/chat/completions returns a chat.completion', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-reasoning',
+    messages: [{ role: 'user', content: 'What is 6x7?' }]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.object, 'chat.completion');
+  assert.equal(body.model, 'mock-reasoning');
+  assert.equal(body.t3_model, 'mock-reasoning');
+  assert.equal(body.choices[0].message.role, 'assistant');
+  assert.equal(body.choices[0].message.content, 'The answer is 42.');
+  assert.equal(body.choices[0].message.reasoning_content, 'The user wants a number. Six times seven is 42.');
+  assert.equal(body.choices[0].finish_reason, 'stop');
+});
+
+test('POST /v1/chat/completions sends system and developer messages as instructions', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    preferences: { additional_info: 'Metric units' },
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'developer', content: [{ type: 'text', text: 'Answer in English.' }] }
+    ]
+  });
+  const body = await response.json();
+  const upstream = mock.server.requests.at(-1);
+
+  assert.equal(body.choices[0].message.content, 'Hi');
+  assert.equal(upstream.preferences.additionalInfo, 'Metric units\n\nBe brief.\n\nAnswer in English.');
+  assert.deepEqual(upstream.messages.map(message => [message.role, message.parts[0].text]), [['user', 'Hi']]);
+});
+
+test('POST /v1/chat/completions echoes the t3.chat model behind an alias', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'gpt-4',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  const body = await response.json();
+
+  assert.equal(response.headers.get('x-t3-model'), 'gemini-2.5-flash');
+  assert.equal(body.model, 'gpt-4');
+  assert.equal(body.t3_model, 'gemini-2.5-flash');
+  assert.equal(mock.server.requests.at(-1).model, 'gemini-2.5-flash');
+});
+
+test('POST /v1/chat/completions streams SSE chunks', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-text',
+    stream: true,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  const events = parseSSE(await response.text());
+  const chunks = events.slice(0, -1);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  assert.equal(response.headers.get('x-t3-model'), 'mock-text');
+  assert.equal(events.at(-1), '[DONE]');
+  assert.ok(chunks.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.id === chunks[0].id));
+  assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant' });
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'Hello from the mock t3.chat!');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+});
+
+test('POST /v1/chat/completions reports integer token usage in both modes', async () => {
+  const request = {
+    model: 'mock-reasoning',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: [{ type: 'text', text: 'What is 6x7?' }] }
+    ]
+  };
+  const { usage } = await (await postJson('/v1/chat/completions', request)).json();
+
+  assert.ok(Number.isInteger(usage.prompt_tokens) && usage.prompt_tokens > 10);
+  assert.ok(Number.isInteger(usage.completion_tokens) && usage.completion_tokens > 0);
+  assert.equal(usage.total_tokens, usage.prompt_tokens + usage.completion_tokens);
+  assert.ok(usage.completion_tokens_details.reasoning_tokens > 0);
+
+  const response = await postJson('/v1/chat/completions', {
+    ...request,
+    stream: true,
+    stream_options: { include_usage: true }
+  });
+  const events = parseSSE(await response.text());
+  const usageChunk = events.at(-2);
+
+  assert.equal(events.at(-1), '[DONE]');
+  assert.deepEqual(usageChunk.choices, []);
+  assert.deepEqual(usageChunk.usage, usage);
+  assert.ok(events.slice(0, -2).every(chunk => chunk.usage === undefined));
+
+  // Without include_usage no usage chunk is sent
+  const plain = parseSSE(await (await postJson('/v1/chat/completions', { ...request, stream: true })).text());
+  assert.equal(plain.at(-2).choices[0].finish_reason, 'stop');
+});
+
+const TOOLS = [
+  { type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } },
+  { type: 'function', function: { name: 'get_time' } }
+];
+
+test('POST /v1/chat/completions returns emulated tool calls', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-tool-call',
+    tools: TOOLS,
+    messages: [{ role: 'user', content: 'Weather and time in Paris?' }]
+  });
+  const body = await response.json();
+  const [choice] = body.choices;
+
+  assert.equal(response.status, 200);
+  assert.equal(choice.finish_reason, 'tool_calls');
+  assert.equal(choice.message.content, 'Let me check.');
+  assert.deepEqual(choice.message.tool_calls.map(call => [call.type, call.function.name, JSON.parse(call.function.arguments)]), [
+    ['function', 'get_weather', { city: 'Paris' }],
+    ['function', 'get_time', { zone: 'CET' }]
+  ]);
+
+  // The tools are described to the model in the system instructions
+  const upstream = mock.server.requests.at(-1);
+  assert.match(upstream.preferences.additionalInfo, /- get_weather\n  Parameters/);
+  assert.deepEqual(upstream.messages.map(message => message.role), ['user']);
+});
+
+test('POST /v1/chat/completions streams tool calls as tool_calls deltas', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-tool-call',
+    stream: true,
+    tools: TOOLS,
+    messages: [{ role: 'user', content: 'Weather and time in Paris?' }]
+  });
+  const chunks = parseSSE(await response.text()).slice(0, -1);
+  const deltas = chunks.map(chunk => chunk.choices[0].delta);
+
+  assert.equal(deltas.map(delta => delta.content || '').join(''), 'Let me check.');
+  const toolDeltas = deltas.filter(delta => delta.tool_calls).map(delta => delta.tool_calls[0]);
+  assert.equal(toolDeltas.length, 4);
+  assert.match(toolDeltas[0].id, /^call_/);
+  assert.deepEqual(toolDeltas[0].function, { name: 'get_weather', arguments: '' });
+  assert.deepEqual(toolDeltas[1], { index: 0, function: { arguments: '{"city":"Paris"}' } });
+  assert.equal(toolDeltas[2].index, 1);
+  assert.equal(toolDeltas[2].function.name, 'get_time');
+  assert.ok(deltas.every(delta => !(delta.content || '').includes('<tool')));
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'tool_calls');
+});
+
+test('POST /v1/chat/completions sends tool results back to the model', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    tools: TOOLS,
+    messages: [
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '18C and sunny' }
+    ]
+  });
+  const body = await response.json();
+
+  assert.equal(body.choices[0].finish_reason, 'stop');
+  const sent = mock.server.requests.at(-1).messages;
+  assert.deepEqual(sent.map(message => [message.role, message.parts[0].text]), [
+    ['user', 'Weather in Paris?'],
+    ['assistant', '<tool_call>{"name":"get_weather","arguments":{"city":"Paris"}}</tool_call>'],
+    ['user', '<tool_result id="call_1" name="get_weather">\n18C and sunny\n</tool_result>']
+  ]);
+});
+
+test('POST /v1/chat/completions checks tools and honours tool_choice none', async () => {
+  const invalid = await postJson('/v1/chat/completions', {
+    model: 'mock-text',
+    tools: [{ type: 'function' }],
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.code, 'invalid_tools');
+
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-tool-call',
+    tools: TOOLS,
+    tool_choice: 'none',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  const body = await response.json();
+  assert.equal(body.choices[0].finish_reason, 'stop');
+  assert.equal(body.choices[0].message.tool_calls, undefined);
+  assert.equal(mock.server.requests.at(-1).messages.length, 1);
+});
+
+test('POST /v1/chat/completions treats null tools and tool_choice as omitted', async () => {
+  const plain = await postJson('/v1/chat/completions', {
+    model: 'mock-text',
+    tools: null,
+    tool_choice: null,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(plain.status, 200);
+  assert.equal(mock.server.requests.at(-1).messages.length, 1);
+
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-tool-call',
+    tools: TOOLS,
+    tool_choice: null,
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  assert.equal((await response.json()).choices[0].finish_reason, 'tool_calls');
+});
+
+const WEATHER_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'weather',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: { city: { type: 'string' }, temperature: { type: 'number' } },
+      required: ['city', 'temperature'],
+      additionalProperties: false
+    }
+  }
+};
+
+test('POST /v1/chat/completions returns validated json_schema output', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-json-repair',
+    response_format: WEATHER_FORMAT,
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(JSON.parse(body.choices[0].message.content), { city: 'Paris', temperature: 18 });
+  assert.match(mock.server.requests.at(-2).messages.at(-1).parts[0].text, /JSON schema "weather"/);
+  assert.match(mock.server.requests.at(-1).messages.at(-1).parts[0].text, /Your previous reply was not valid/);
+});
+
+test('POST /v1/chat/completions streams json_object output once it is valid', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-json',
+    stream: true,
+    response_format: { type: 'json_object' },
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  const chunks = parseSSE(await response.text()).slice(0, -1);
+
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), '{"city":"Paris","temperature":18}');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+});
+
+test('POST /v1/chat/completions rejects invalid structured output', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-json-invalid',
+    response_format: WEATHER_FORMAT,
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  assert.equal(response.status, 502);
+  const { error } = await response.json();
+  assert.equal(error.code, 'invalid_structured_output');
+
+  const invalidFormat = await postJson('/v1/chat/completions', {
+    model: 'mock-json',
+    response_format: { type: 'json_schema', json_schema: { name: 'weather' } },
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(invalidFormat.status, 400);
+  assert.equal((await invalidFormat.json()).error.param, 'response_format');
+
+  const withTools = await postJson('/v1/chat/completions', {
+    model: 'mock-json',
+    tools: TOOLS,
+    response_format: { type: 'json_object' },
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(withTools.status, 400);
+});
+
+test('POST /v1/chat/completions treats a null response_format as omitted', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    response_format: null,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).choices[0].message.content, 'Hi');
+  assert.equal(mock.server.requests.at(-1).messages.length, 1);
+
+  const withTools = await postJson('/v1/chat/completions', {
+    model: 'mock-text',
+    tools: TOOLS,
+    response_format: null,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(withTools.status, 200);
+});
+
+test('POST /v1/chat/completions cuts the answer at max_tokens', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    max_tokens: 3,
+    temperature: 0.2,
+    messages: [{ role: 'user', content: 'one two three four five six' }]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.choices[0].message.content, 'one two three');
+  assert.equal(body.choices[0].finish_reason, 'length');
+  assert.equal(body.usage.completion_tokens, 3);
+  assert.equal(mock.server.requests.at(-1).modelParams.temperature, 0.2);
+});
+
+test('POST /v1/chat/completions streams up to a stop sequence', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    stream: true,
+    stop: ['four', 'six'],
+    messages: [{ role: 'user', content: 'one two three four five six' }]
+  });
+  const chunks = parseSSE(await response.text()).slice(0, -1);
+
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'one two three ');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+
+  const limited = await postJson('/v1/chat/completions', {
+    model: 'echo',
+    stream: true,
+    max_completion_tokens: 2,
+    messages: [{ role: 'user', content: 'one two three four five six' }]
+  });
+  const limitedChunks = parseSSE(await limited.text()).slice(0, -1);
+  assert.equal(limitedChunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'one two');
+  assert.equal(limitedChunks.at(-1).choices[0].finish_reason, 'length');
+});
+
+test('POST /v1/chat/completions returns n choices generated on separate threads', async () => {
+  const request = { model: 'echo', messages: [{ role: 'user', content: 'Pick a number' }] };
+  const single = await (await postJson('/v1/chat/completions', request)).json();
+  const before = mock.server.requests.length;
+  const response = await postJson('/v1/chat/completions', { ...request, n: 3 });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.choices.map(choice => choice.index), [0, 1, 2]);
+  assert.ok(body.choices.every(choice => choice.message.content === 'Pick a number' && choice.finish_reason === 'stop'));
+  const threads = mock.server.requests.slice(before).map(upstream => upstream.threadMetadata.id);
+  assert.equal(new Set(threads).size, 3);
+  // The prompt is counted once, the completions of all choices add up
+  assert.equal(body.usage.prompt_tokens, single.usage.prompt_tokens);
+  assert.equal(body.usage.completion_tokens, 3 * single.usage.completion_tokens);
+});
+
+test('POST /v1/chat/completions treats n: null as a single choice', async () => {
+  const request = { model: 'echo', n: null, messages: [{ role: 'user', content: 'Hi' }] };
+  const response = await postJson('/v1/chat/completions', request);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.choices.map(choice => [choice.index, choice.message.content]), [[0, 'Hi']]);
+
+  const events = parseSSE(await (await postJson('/v1/chat/completions', { ...request, stream: true })).text());
+  assert.ok(events.slice(0, -1).every(event => !event.error && event.choices[0].index === 0));
+  assert.equal(events.at(-2).choices[0].finish_reason, 'stop');
+});
+
+test('POST /v1/chat/completions interleaves the deltas of n streamed choices', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-slow',
+    stream: true,
+    n: 2,
+    messages: [{ role: 'user', content: 'Count' }]
+  });
+  const events = parseSSE(await response.text());
+  const chunks = events.slice(0, -1);
+  const indexes = chunks.map(chunk => chunk.choices[0].index);
+
+  assert.equal(events.at(-1), '[DONE]');
+  for (const index of [0, 1]) {
+    const own = chunks.filter(chunk => chunk.choices[0].index === index);
+    assert.deepEqual(own[0].choices[0].delta, { role: 'assistant' });
+    assert.equal(own.map(chunk => chunk.choices[0].delta.content || '').join(''), 'One two three');
+    assert.equal(own.at(-1).choices[0].finish_reason, 'stop');
+  }
+  // Both choices stream at once rather than one after the other
+  assert.ok(indexes.indexOf(1) < indexes.lastIndexOf(0));
+});
+
+test('POST /v1/chat/completions aborts the upstream request when the client disconnects', async () => {
+  const started = Date.now();
+  // Resolves with whether the mock had finished the fixture when its response closed
+  const upstreamClosed = new Promise(resolve => {
+    mock.server.once('request', (req, res) => {
+      res.once('close', () => resolve(res.writableFinished));
+    });
+  });
+
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}` },
+    body: JSON.stringify({ model: 'mock-slow', stream: true, messages: [{ role: 'user', content: 'Count' }] }),
+    signal: controller.signal
+  });
+  await response.body.getReader().read();
+  controller.abort();
+
+  // mock-slow takes about 600ms to finish
+  assert.equal(await upstreamClosed, false);
+  assert.ok(Date.now() - started < 600);
+});
+
+test('POST /v1/chat/completions requires model and messages', async () => {
+  const messages = [{ role: 'user', content: 'Hi' }];
+  for (const [param, body] of [['model', { messages }], ['model', { model: 42, messages }], ['messages', { model: 'echo' }], ['messages', { model: 'echo', messages: 'Hi' }]]) {
+    const response = await postJson('/v1/chat/completions', body);
+    const { error } = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(error.type, 'invalid_request_error');
+    assert.equal(error.param, param);
+  }
+});
+
+test('POST /v1/chat/completions rejects invalid limits and sampling fields', async () => {
+  for (const [field, value] of [['max_tokens', 0], ['max_completion_tokens', 1.5], ['stop', ['a', 'b', 'c', 'd', 'e']], ['stop', 42], ['temperature', 3], ['top_p', -0.1], ['n', 0], ['n', 5]]) {
+    const response = await postJson('/v1/chat/completions', {
+      model: 'echo',
+      [field]: value,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.param, field);
+    assert.equal(error.code, 'invalid_value');
+  }
+});
+
+test('GET /v1/usage returns the ledger of the calling key', async () => {
+  const before = await (await fetch(`${baseUrl}/v1/usage?model=mock-text`, {
+    headers: { 'Authorization': `Bearer ${API_KEY}` }
+  })).json();
+
+  await (await postJson('/v1/chat/completions', { model: 'mock-text', messages: [{ role: 'user', content: 'Hi' }] })).json();
+
+  const response = await fetch(`${baseUrl}/v1/usage?model=mock-text`, {
+    headers: { 'Authorization': `Bearer ${API_KEY}` }
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.object, 'list');
+  assert.ok(body.data.every(entry => entry.model === 'mock-text' && entry.key.startsWith('key-')));
+  // The key holds credentials, so it is never echoed back
+  assert.ok(body.data.every(entry => !entry.key.includes('session')));
+  assert.equal(body.totals.requests, before.totals.requests + 1);
+  assert.ok(body.totals.total_tokens > before.totals.total_tokens);
+
+  const otherKey = await (await fetch(`${baseUrl}/v1/usage`, {
+    headers: { 'Authorization': 'Bearer session=other:convex-session' }
+  })).json();
+  assert.equal(otherKey.totals.requests, 0);
+
+  const invalid = await fetch(`${baseUrl}/v1/usage?start_date=yesterday`, {
+    headers: { 'Authorization': `Bearer ${API_KEY}` }
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test('usage is recorded for streams that fail or are aborted', async () => {
+  const apiKey = 'session=partial:convex-session';
+  const usage = async () => (await (await fetch(`${baseUrl}/v1/usage`, {
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  })).json()).data;
+  const waitForUsage = async (model) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const entry = (await usage()).find(candidate => candidate.model === model);
+      if (entry) return entry;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail(`no usage recorded for ${model}`);
+  };
+
+  const failed = await postJson('/v1/chat/completions', { model: 'mock-error', stream: true, messages: [{ role: 'user', content: 'Hi' }] }, apiKey);
+  await failed.text();
+  const failedEntry = await waitForUsage('mock-error');
+  assert.equal(failedEntry.requests, 1);
+  assert.ok(failedEntry.completion_tokens > 0);
+
+  const controller = new AbortController();
+  const aborted = await postJson('/v1/chat/completions', { model: 'mock-slow', stream: true, messages: [{ role: 'user', content: 'Count' }] }, apiKey, controller.signal);
+  const reader = aborted.body.getReader();
+  // The role chunk and the first words may arrive together or apart
+  let received = '';
+  while (!received.includes('One')) {
+    received += new TextDecoder().decode((await reader.read()).value);
+  }
+  controller.abort();
+  const abortedEntry = await waitForUsage('mock-slow');
+  assert.equal(abortedEntry.requests, 1);
+  assert.ok(abortedEntry.completion_tokens > 0);
+});
+
+test('a failed ledger write does not fail the completion', async () => {
+  const save = usageLedger.save;
+  usageLedger.save = () => Promise.reject(new Error('disk full'));
+  try {
+    const response = await postJson('/v1/chat/completions', { model: 'mock-text', messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).usage.total_tokens > 0);
+  } finally {
+    usageLedger.save = save;
+  }
+});
+
+test('POST /v1/chat/completions sends stream errors as an error event', async () => {
+  const response = await postJson('/v1/chat/completions', {
+    model: 'mock-error',
+    stream: true,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  const events = parseSSE(await response.text());
+  const error = events.find(event => event.error);
+
+  assert.equal(error.error.code, 'upstream_error');
+  assert.equal(events.at(-1), '[DONE]');
+});
+
+test('POST /v1/chat/completions maps upstream failures to OpenAI errors', async () => {
+  const unknownModel = await postJson('/v1/chat/completions', {
+    model: 'mock-unknown-model',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(unknownModel.status, 404);
+  assert.equal((await unknownModel.json()).error.code, 'model_not_found');
+
+  const authFailure = await postJson('/v1/chat/completions', {
+    model: 'mock-auth-failure',
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assert.equal(authFailure.status, 401);
+  assert.equal((await authFailure.json()).error.type, 'authentication_error');
+});
+
+test('POST /v1/chat/completions only runs keys on the env credentials with ALLOW_OPEN_PROXY', async (t) => {
+  const saved = { COOKIES: process.env.COOKIES, CONVEX_SESSION_ID: process.env.CONVEX_SESSION_ID, ALLOW_OPEN_PROXY: process.env.ALLOW_OPEN_PROXY };
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  process.env.COOKIES = 'session=env';
+  process.env.CONVEX_SESSION_ID = 'env-session';
+  delete process.env.ALLOW_OPEN_PROXY;
+
+  const body = { model: 'mock-text', messages: [{ role: 'user', content: 'Hi' }] };
+  for (const apiKey of [null, 'sk-anything']) {
+    const response = await postJson('/v1/chat/completions', body, apiKey);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'invalid_api_key');
+  }
+  assert.equal((await postJson('/v1/chat/completions', body)).status, 200);
+
+  process.env.ALLOW_OPEN_PROXY = 'true';
+  assert.equal((await postJson('/v1/chat/completions', body, 'sk-anything')).status, 200);
+});
+
+test('concurrent requests with one API key do not share conversation state', async () => {
+  const markers = Array.from({ length: 6 }, (_, i) => `MARKER-${i}`);
+
+  const replies = await Promise.all(markers.map(async (marker, i) => {
+    const response = await postJson('/v1/chat/completions', {
+      model: 'echo',
+      stream: i % 2 === 0,
+      messages: [{ role: 'user', content: marker }]
+    });
+    if (i % 2 !== 0) {
+      return (await response.json()).choices[0].message.content;
+    }
+    return parseSSE(await response.text())
+      .slice(0, -1)
+      .map(chunk => chunk.choices[0].delta.content || '')
+      .join('');
+  }));
+
+  assert.deepEqual(replies, markers);
+});
+
+test('POST /v1/images/generations returns URLs or base64 images', async () => {
+  const urlResponse = await postJson('/v1/images/generations', { model: 'mock-image', prompt: 'A cat' });
+  const urlBody = await urlResponse.json();
+  assert.equal(urlResponse.status, 200);
+  assert.deepEqual(urlBody.data, [{ url: `${mock.url}/mock/image.png` }]);
+  assert.equal(urlBody.t3_model, 'mock-image');
+
+  const b64Response = await postJson('/v1/images/generations', { model: 'mock-image', prompt: 'A cat', response_format: 'b64_json' });
+  const b64Body = await b64Response.json();
+  assert.ok(b64Body.data[0].b64_json.startsWith('iVBOR'));
+
+  const invalid = await postJson('/v1/images/generations', { model: 'mock-image', prompt: 'A cat', response_format: 'gif' });
+  assert.equal(invalid.status, 400);
+});
+
+test('POST /v1/images/generations stops generating when the client disconnects', async () => {
+  // Resolves with whether the mock had finished each image request when its response closed
+  const upstream = [];
+  const record = (req, res) => {
+    if (req.url === '/api/chat') upstream.push(new Promise(resolve => res.once('close', () => resolve(res.writableFinished))));
+  };
+  mock.server.on('request', record);
+
+  const controller = new AbortController();
+  const request = postJson('/v1/images/generations', { model: 'mock-image', prompt: 'Draw a cat slowly', n: 2 }, API_KEY, controller.signal);
+  try {
+    while (upstream.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    controller.abort();
+    await assert.rejects(request);
+
+    // The first image is cancelled mid-generation and the second is never requested
+    assert.equal(await upstream[0], false);
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.equal(upstream.length, 1);
+  } finally {
+    mock.server.off('request', record);
+  }
+});
+
+test('POST /v1/images/generations rejects invalid n', async () => {
+  const requestCount = mock.server.requests.length;
+
+  for (const n of ['abc', 0, 1.5, 5]) {
+    const response = await postJson('/v1/images/generations', { model: 'mock-image', prompt: 'A cat', n });
+    const { error } = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(error.type, 'invalid_request_error');
+    assert.equal(error.param, 'n');
+  }
+  assert.equal(mock.server.requests.length, requestCount);
+
+  const response = await postJson('/v1/images/generations', { model: 'mock-image', prompt: 'A cat', n: 2 });
+  assert.equal((await response.json()).data.length, 2);
+});
+
+test('GET /v1/models lists registry models and aliases with capabilities', async () => {
+  const response = await fetch(`${baseUrl}/v1/models`);
+  const body = await response.json();
+  const byId = Object.fromEntries(body.data.map(model => [model.id, model]));
+
+  assert.equal(body.object, 'list');
+  assert.deepEqual(byId['gemini-2.5-pro'].capabilities, { vision: true, image_generation: false, reasoning_effort: true, search: true });
+  assert.equal(byId['gemini-2.5-pro'].owned_by, 'google');
+  assert.equal(byId['gemini-2.5-pro'].context_window, 1048576);
+  assert.equal(byId['gpt-4'].root, 'gemini-2.5-flash');
+  assert.equal(byId['gpt-4'].owned_by, 'google');
+  assert.equal(body.data.filter(model => model.id === 'gpt-4o').length, 1);
+});
+
+test('POST /v1/chat/completions rejects images for models without vision', async () => {
+  const requestCount = mock.server.requests.length;
+  const response = await postJson('/v1/chat/completions', {
+    model: 'o3-mini',
+    stream: true,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }
+      ]
+    }]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.equal(body.error.type, 'invalid_request_error');
+  assert.equal(body.error.code, 'unsupported_capability');
+  assert.equal(mock.server.requests.length, requestCount);
+});
+
+test('POST /v1/images/generations rejects models without image generation', async () => {
+  const response = await postJson('/v1/images/generations', { model: 'gemini-2.5-flash', prompt: 'A cat' });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.code, 'unsupported_capability');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamDecoder, StreamEventType, ResponseAccumulator, parseLine } from '../src/t3/protocol.js';
+
+test('parseLine decodes known codes and ignores blank lines', () => {
+  assert.deepEqual(parseLine('0:"Hello"'), { type: StreamEventType.TEXT, code: '0', value: 'Hello' });
+  assert.deepEqual(parseLine('g:"Thinking"'), { type: StreamEventType.REASONING, code: 'g', value: 'Thinking' });
+  assert.equal(parseLine('d:{"finishReason":"stop"}').type, StreamEventType.FINISH_MESSAGE);
+  assert.equal(parseLine('   '), null);
+});
+
+test('parseLine reports unknown codes and malformed JSON', () => {
+  assert.deepEqual(parseLine('z:"new"'), { type: StreamEventType.UNKNOWN, code: 'z', raw: 'z:"new"' });
+  assert.deepEqual(parseLine('no colon'), { type: StreamEventType.UNKNOWN, code: null, raw: 'no colon' });
+
+  const broken = parseLine('0:"unterminated');
+  assert.equal(broken.type, StreamEventType.UNKNOWN);
+  assert.equal(broken.code, '0');
+  assert.ok(broken.error);
+});
+
+test('StreamDecoder buffers lines split across chunks', () => {
+  const decoder = new StreamDecoder();
+
+  assert.deepEqual(decoder.push('0:"Hel'), []);
+  assert.deepEqual(decoder.push('lo"\n0:" wor').map(event => event.value), ['Hello']);
+  assert.deepEqual(decoder.push(Buffer.from('ld"')), []);
+  assert.deepEqual(decoder.flush().map(event => event.value), [' world']);
+  assert.deepEqual(decoder.flush(), []);
+});
+
+test('StreamDecoder decodes UTF-8 characters split across chunks', () => {
+  const decoder = new StreamDecoder();
+  const bytes = Buffer.from('0:"héllo €"\n0:"🎉"');
+
+  // Split inside 'é', then inside the emoji of the unterminated last line
+  assert.deepEqual(decoder.push(bytes.subarray(0, 5)), []);
+  assert.deepEqual(decoder.push(bytes.subarray(5, bytes.length - 3)).map(event => event.value), ['héllo €']);
+  assert.deepEqual(decoder.push(bytes.subarray(bytes.length - 3)), []);
+  assert.deepEqual(decoder.flush().map(event => event.value), ['🎉']);
+});
+
+test('StreamDecoder.decodeStream decodes an async iterable of chunks', async () => {
+  async function* chunks() {
+    yield '0:"a"\n0:';
+    yield '"b"\nd:{"finishReason":"stop"}';
+  }
+
+  const events = [];
+  for await (const event of StreamDecoder.decodeStream(chunks())) {
+    events.push(event);
+  }
+  assert.deepEqual(events.map(event => event.type), [StreamEventType.TEXT, StreamEventType.TEXT, StreamEventType.FINISH_MESSAGE]);
+});
+
+test('ResponseAccumulator collects text, reasoning, images and finish metadata', () => {
+  const state = new ResponseAccumulator();
+  const body = [
+    'g:"Let me think. "',
+    'g:"Done."',
+    '0:"Hi"',
+    '0:" there"',
+    '2:[{"type":"image-gen","content":"\\"https://example.com/cat.png\\""}]',
+    'h:{"url":"https://example.com"}',
+    'd:{"finishReason":"stop","usage":{"promptTokens":3,"completionTokens":2}}'
+  ].join('\n');
+
+  for (const event of StreamDecoder.decode(body)) {
+    state.apply(event);
+  }
+
+  assert.equal(state.content, 'Hi there');
+  assert.equal(state.reasoning, 'Let me think. Done.');
+  assert.equal(state.imageUrl, 'https://example.com/cat.png');
+  assert.equal(state.sources.length, 1);
+  assert.equal(state.finishReason, 'stop');
+  assert.deepEqual(state.usage, { promptTokens: 3, completionTokens: 2 });
+});
+
+test('ResponseAccumulator.imageUrlOf only accepts image-gen items', () => {
+  assert.equal(ResponseAccumulator.imageUrlOf({ type: 'image-gen', content: '"https://example.com/a.png"' }), 'https://example.com/a.png');
+  assert.equal(ResponseAccumulator.imageUrlOf({ type: 'other', content: '"https://example.com/a.png"' }), null);
+});
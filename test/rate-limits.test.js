@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../src/rate-limits.js';
+import { InvalidModelError, RateLimitError } from '../src/t3/errors.js';
+
+function createLimiter(limits, start = Date.UTC(2025, 0, 1, 12, 0, 0)) {
+  const clock = { time: start };
+  return { limiter: new RateLimiter(limits, { now: () => clock.time }), clock };
+}
+
+test('RateLimiter enforces requests per minute over a sliding window', () => {
+  const { limiter, clock } = createLimiter({ default: { requestsPerMinute: 2 } });
+
+  limiter.acquire('ci');
+  clock.time += 20 * 1000;
+  limiter.acquire('ci');
+  assert.deepEqual(limiter.status('ci').requests, { limit: 2, remaining: 0, reset: 40 });
+
+  assert.throws(() => limiter.acquire('ci'), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfter, 40);
+    assert.match(error.message, /requests per minute/);
+    return true;
+  });
+
+  // Other keys have their own budget
+  limiter.acquire('other');
+
+  clock.time += 40 * 1000;
+  limiter.acquire('ci');
+  assert.equal(limiter.status('ci').requests.remaining, 0);
+});
+
+test('RateLimiter caps daily messages until UTC midnight', () => {
+  const { limiter, clock } = createLimiter({ ci: { dailyMessages: 1 } }, Date.UTC(2025, 0, 1, 23, 0, 0));
+
+  limiter.acquire('ci');
+  assert.throws(() => limiter.acquire('ci'), (error) => error.retryAfter === 3600);
+
+  clock.time += 3600 * 1000;
+  limiter.acquire('ci');
+  assert.equal(limiter.status('ci').dailyMessages.remaining, 0);
+
+  // Keys without their own limits fall back to 'default', which is unset here
+  assert.deepEqual(limiter.status('other'), {});
+});
+
+test('RateLimiter frees concurrent stream slots on release', () => {
+  const { limiter } = createLimiter({ default: { concurrentStreams: 1 } });
+
+  const release = limiter.acquire('ci');
+  assert.throws(() => limiter.acquire('ci'), /concurrent streams/);
+
+  release();
+  release();
+  assert.equal(limiter.status('ci').concurrentStreams.remaining, 1);
+  limiter.acquire('ci');
+
+  // Requests that do not stream take no slot
+  limiter.acquire('ci', { stream: false });
+  assert.equal(limiter.status('ci').concurrentStreams.remaining, 0);
+});
+
+test('RateLimiter restricts keys to allowed models', () => {
+  const { limiter } = createLimiter({ ci: { allowedModels: ['gpt-4o', 'gemini-*'] } });
+
+  limiter.checkModel('ci', 'gpt-4o', 'gemini-2.5-flash');
+  limiter.checkModel('ci', 'flash', 'gemini-2.5-flash');
+  assert.throws(() => limiter.checkModel('ci', 'claude-4-sonnet', 'claude-4-sonnet'), InvalidModelError);
+  limiter.checkModel('other', 'claude-4-sonnet', 'claude-4-sonnet');
+});
+
+test('RateLimiter.headers reports the remaining budget', () => {
+  const { limiter } = createLimiter({ default: { requestsPerMinute: 10, dailyMessages: 100, concurrentStreams: 2 } });
+
+  limiter.acquire('ci');
+  assert.deepEqual(limiter.headers('ci'), {
+    'x-ratelimit-limit-requests': '10',
+    'x-ratelimit-remaining-requests': '9',
+    'x-ratelimit-reset-requests': '60s',
+    'x-ratelimit-limit-daily-messages': '100',
+    'x-ratelimit-remaining-daily-messages': '99',
+    'x-ratelimit-reset-daily-messages': '43200s',
+    'x-ratelimit-limit-concurrent-streams': '2',
+    'x-ratelimit-remaining-concurrent-streams': '1'
+  });
+  assert.deepEqual(new RateLimiter().headers('ci'), {});
+});
+
+test('RateLimiter counts every generation of a request', () => {
+  const { limiter, clock } = createLimiter({ default: { requestsPerMinute: 4, dailyMessages: 10, concurrentStreams: 3 } });
+
+  limiter.acquire('ci');
+  clock.time += 10 * 1000;
+  const release = limiter.acquire('ci', { count: 2 });
+  assert.deepEqual(limiter.status('ci'), {
+    requests: { limit: 4, remaining: 1, reset: 50 },
+    dailyMessages: { limit: 10, remaining: 7, reset: 43190 },
+    concurrentStreams: { limit: 3, remaining: 0 }
+  });
+
+  release();
+  // Two requests must leave the window, so the wait ends with the second one
+  assert.throws(() => limiter.acquire('ci', { count: 3 }), (error) => {
+    assert.match(error.message, /requests per minute/);
+    assert.equal(error.retryAfter, 60);
+    return true;
+  });
+  assert.equal(limiter.status('ci').concurrentStreams.remaining, 2);
+});
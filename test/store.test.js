@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '../src/t3/client.js';
+import { Message, MessageType } from '../src/t3/message.js';
+import { Config } from '../src/t3/config.js';
+import { JsonFileConversationStore, SqliteConversationStore } from '../src/t3/store.js';
+
+const client = new Client('session=test', 'convex-session', {
+  transport: { url: (path) => path, request: async () => ({ status: 200, headers: {}, data: '' }) }
+});
+
+function createConversation() {
+  const conversation = client.createConversation({
+    model: 'gemini-2.5-flash',
+    config: Config.builder().setName('Ada').setTimezone('UTC').build(),
+    threadId: 'thread-1',
+    systemPrompt: 'Be brief.'
+  });
+  conversation.appendMessage(Message.new(MessageType.USER, 'Hi'));
+  conversation.appendMessage(Message.new(MessageType.ASSISTANT, 'Hello!'));
+  return conversation;
+}
+
+async function checkStore(store) {
+  const conversation = createConversation();
+  assert.equal(await store.load(conversation.id), null);
+
+  await store.save(conversation);
+  const [summary] = await store.list();
+  assert.equal(summary.id, conversation.id);
+  assert.equal(summary.threadId, 'thread-1');
+  assert.equal(summary.messageCount, 2);
+
+  const resumed = await client.resumeConversation(store, conversation.id);
+  assert.equal(resumed.getThreadId(), 'thread-1');
+  assert.equal(resumed.model, 'gemini-2.5-flash');
+  assert.equal(resumed.config.preferences.name, 'Ada');
+  assert.equal(resumed.getSystemPrompt(), 'Be brief.');
+  assert.deepEqual(resumed.getMessages().map(message => message.content), ['Hi', 'Hello!']);
+  assert.equal(resumed.store, store);
+
+  assert.equal(await store.delete(conversation.id), true);
+  assert.equal(await store.delete(conversation.id), false);
+  assert.deepEqual(await store.list(), []);
+}
+
+test('JsonFileConversationStore saves, lists, resumes and deletes conversations', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3js-store-'));
+  try {
+    const store = new JsonFileConversationStore(join(dir, 'conversations'));
+    await checkStore(store);
+    assert.deepEqual(await readdir(join(dir, 'conversations')), []);
+    await assert.rejects(store.load('../escape'), /Invalid conversation ID/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('SqliteConversationStore saves, lists, resumes and deletes conversations', async (t) => {
+  const store = new SqliteConversationStore(':memory:');
+  try {
+    await store.open();
+  } catch (error) {
+    t.skip(error.message);
+    return;
+  }
+
+  try {
+    await checkStore(store);
+  } finally {
+    store.close();
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JsonSchemaValidator, StructuredOutput } from '../src/t3/structured.js';
+import { StructuredOutputError } from '../src/t3/errors.js';
+
+const WEATHER = {
+  type: 'object',
+  properties: {
+    city: { type: 'string', minLength: 1 },
+    temperature: { type: 'number' },
+    conditions: { type: 'array', items: { $ref: '#/$defs/condition' }, maxItems: 2 }
+  },
+  required: ['city', 'temperature'],
+  additionalProperties: false,
+  $defs: {
+    condition: { type: 'string', enum: ['sunny', 'rainy', 'cloudy'] }
+  }
+};
+
+test('JsonSchemaValidator accepts matching values', () => {
+  assert.deepEqual(JsonSchemaValidator.validate({ city: 'Paris', temperature: 18, conditions: ['sunny'] }, WEATHER), []);
+  assert.deepEqual(JsonSchemaValidator.validate(3, { type: 'number' }), []);
+  assert.deepEqual(JsonSchemaValidator.validate(null, { type: ['string', 'null'] }), []);
+  assert.deepEqual(JsonSchemaValidator.validate('b', { anyOf: [{ const: 'a' }, { const: 'b' }] }), []);
+});
+
+test('JsonSchemaValidator reports problems with their paths', () => {
+  assert.deepEqual(JsonSchemaValidator.validate({ city: '', conditions: ['sunny', 'foggy', 'rainy'], wind: 3 }, WEATHER), [
+    '$: missing required property "temperature"',
+    '$.city: must be at least 1 characters',
+    '$.conditions: must have at most 2 items',
+    '$.conditions[1]: must be one of ["sunny","rainy","cloudy"]',
+    '$: unexpected property "wind"'
+  ]);
+  assert.deepEqual(JsonSchemaValidator.validate(1.5, { type: 'integer' }), ['$: expected integer, got number']);
+  assert.deepEqual(JsonSchemaValidator.validate('x', { type: 'string', pattern: '^\\d+$' }), ['$: must match ^\\d+$']);
+  assert.deepEqual(JsonSchemaValidator.validate(5, { minimum: 1, maximum: 3 }), ['$: must be <= 3']);
+});
+
+test('StructuredOutput.extractJson tolerates code fences and surrounding text', () => {
+  assert.deepEqual(StructuredOutput.extractJson('{"a": 1}'), { a: 1 });
+  assert.deepEqual(StructuredOutput.extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(StructuredOutput.extractJson('Here you go: [1, 2] Enjoy!'), [1, 2]);
+  assert.throws(() => StructuredOutput.extractJson('No JSON here'), SyntaxError);
+});
+
+test('StructuredOutput.parse checks the reply in strict and JSON object mode', () => {
+  const strict = new StructuredOutput({ schema: WEATHER });
+  assert.deepEqual(strict.parse('{"city": "Paris", "temperature": 18}'), { city: 'Paris', temperature: 18 });
+  assert.throws(() => strict.parse('{"city": "Paris"}'), (error) => {
+    assert.ok(error instanceof StructuredOutputError);
+    assert.equal(error.output, '{"city": "Paris"}');
+    assert.deepEqual(error.errors, ['$: missing required property "temperature"']);
+    return true;
+  });
+  assert.throws(() => strict.parse('Sorry'), StructuredOutputError);
+
+  // Without strict the schema only guides the model
+  assert.deepEqual(new StructuredOutput({ schema: WEATHER, strict: false }).parse('{"city": "Paris"}'), { city: 'Paris' });
+
+  const jsonObject = new StructuredOutput();
+  assert.deepEqual(jsonObject.parse('{"ok": true}'), { ok: true });
+  assert.throws(() => jsonObject.parse('[1]'), /does not match/);
+});
+
+test('StructuredOutput builds instructions and repair prompts', () => {
+  const structured = new StructuredOutput({ schema: WEATHER, name: 'weather' });
+  assert.match(structured.instructions(), /JSON schema "weather"/);
+  assert.ok(structured.instructions().includes(JSON.stringify(WEATHER)));
+  assert.match(new StructuredOutput().instructions(), /single valid JSON object/);
+
+  const error = new StructuredOutputError('invalid', { errors: ['$: missing required property "temperature"'] });
+  assert.equal(structured.repairPrompt(error), 'Your previous reply was not valid:\n- $: missing required property "temperature"\nReply again with only the corrected JSON.');
+});
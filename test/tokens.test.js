@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenCounter } from '../src/t3/tokens.js';
+
+test('TokenCounter picks the encoding of the model family', () => {
+  assert.equal(TokenCounter.encodingName('gpt-4o-mini'), 'o200k_base');
+  assert.equal(TokenCounter.encodingName('o4-mini'), 'o200k_base');
+  assert.equal(TokenCounter.encodingName('claude-4-sonnet'), 'cl100k_base');
+  assert.equal(TokenCounter.encodingName('gemini-2.5-flash'), 'cl100k_base');
+  assert.equal(TokenCounter.encodingName(undefined), 'cl100k_base');
+});
+
+test('TokenCounter counts integer tokens', async () => {
+  assert.equal(await TokenCounter.count('', 'gpt-4o'), 0);
+  assert.equal(await TokenCounter.count('Hello world', 'gpt-4o'), 2);
+  assert.equal(await TokenCounter.count('Hello world', 'claude-4-sonnet'), 2);
+  // Special token markers are plain text, not an error
+  assert.ok(await TokenCounter.count('a <|endoftext|> b', 'gpt-4o') > 3);
+});
+
+test('TokenCounter counts text parts and images of array content', async () => {
+  const text = await TokenCounter.countMessages([{ role: 'user', content: 'Hello world' }], 'gpt-4o');
+  // 3 for the message, 1 for the role, 2 for the text and 3 to prime the reply
+  assert.equal(text, 9);
+
+  const parts = await TokenCounter.countMessages([{
+    role: 'user',
+    content: [
+      { type: 'text', text: 'Hello world' },
+      { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }
+    ]
+  }], 'gpt-4o');
+  assert.equal(parts, text + TokenCounter.IMAGE_TOKENS);
+
+  const usage = await TokenCounter.usage({
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Hello world' }],
+    content: 'Hello world',
+    reasoning: 'Hello'
+  });
+  assert.deepEqual(usage, {
+    prompt_tokens: 9,
+    completion_tokens: 3,
+    total_tokens: 12,
+    completion_tokens_details: { reasoning_tokens: 1 }
+  });
+});
+
+test('TokenCounter truncates text to a token count', async () => {
+  assert.equal(await TokenCounter.truncate('Hello world, how are you?', 2, 'gpt-4o'), 'Hello world');
+  assert.equal(await TokenCounter.truncate('Hello world', 5, 'gpt-4o'), 'Hello world');
+  assert.equal(await TokenCounter.truncate('', 5, 'gpt-4o'), '');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolCallParser } from '../src/tools.js';
+
+const TOOLS = [
+  { type: 'function', function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } },
+  { type: 'function', function: { name: 'get_time' } }
+];
+
+test('ToolCallParser.validate checks tools and tool_choice', () => {
+  assert.equal(ToolCallParser.validate(TOOLS, undefined), null);
+  assert.equal(ToolCallParser.validate(TOOLS, 'required'), null);
+  assert.equal(ToolCallParser.validate(TOOLS, { type: 'function', function: { name: 'get_time' } }), null);
+  assert.match(ToolCallParser.validate('get_weather'), /array/);
+  assert.match(ToolCallParser.validate([{ type: 'function', function: {} }]), /Each tool/);
+  assert.match(ToolCallParser.validate(TOOLS, { type: 'function', function: { name: 'missing' } }), /not in tools/);
+  assert.match(ToolCallParser.validate(TOOLS, 'sometimes'), /Invalid tool_choice/);
+});
+
+test('ToolCallParser.instructions describes the tools and the tool choice', () => {
+  const instructions = ToolCallParser.instructions(TOOLS);
+  assert.match(instructions, /<tool_call>\{"name": "tool_name"/);
+  assert.match(instructions, /- get_weather: Current weather\n  Parameters \(JSON schema\): \{"type":"object"/);
+  assert.match(instructions, /- get_time$/m);
+  assert.match(instructions, /answer normally/);
+
+  assert.match(ToolCallParser.instructions(TOOLS, { toolChoice: 'required' }), /must call at least one tool/);
+  assert.match(ToolCallParser.instructions(TOOLS, { toolChoice: { type: 'function', function: { name: 'get_time' } } }), /must call the tool "get_time"/);
+  assert.match(ToolCallParser.instructions(TOOLS, { parallel: false }), /at most one call/);
+});
+
+test('ToolCallParser.parse splits text and tool calls', () => {
+  const { content, toolCalls } = ToolCallParser.parse(
+    'Checking.\n<tool_call>{"name": "get_weather", "arguments": {"city": "Paris"}}</tool_call>\n<tool_call>```json\n{"name": "get_time"}\n```</tool_call>',
+    TOOLS
+  );
+
+  assert.equal(content, 'Checking.');
+  assert.equal(toolCalls.length, 2);
+  assert.match(toolCalls[0].id, /^call_[0-9a-f]{24}$/);
+  assert.notEqual(toolCalls[0].id, toolCalls[1].id);
+  assert.deepEqual(toolCalls.map(call => [call.type, call.function.name, call.function.arguments]), [
+    ['function', 'get_weather', '{"city":"Paris"}'],
+    ['function', 'get_time', '{}']
+  ]);
+});
+
+test('ToolCallParser.parse keeps unknown tools, invalid JSON and unterminated calls as text', () => {
+  assert.deepEqual(ToolCallParser.parse('<tool_call>{"name": "rm_rf"}</tool_call>', TOOLS), {
+    content: '<tool_call>{"name": "rm_rf"}</tool_call>',
+    toolCalls: []
+  });
+  assert.equal(ToolCallParser.parse('<tool_call>{name: get_time}</tool_call>', TOOLS).toolCalls.length, 0);
+  assert.deepEqual(ToolCallParser.parse('Use <tool_call>{"name": "get_time"', TOOLS), {
+    content: 'Use <tool_call>{"name": "get_time"',
+    toolCalls: []
+  });
+  assert.deepEqual(ToolCallParser.parse('a < b, and <tool is fine', TOOLS).content, 'a < b, and <tool is fine');
+});
+
+test('ToolCallParser.push parses calls split across chunks', () => {
+  const parser = new ToolCallParser(TOOLS);
+  const pieces = ['Let me ', 'check. <tool', '_call>{"name": "get_', 'weather", "arguments": {"city": "Paris"}}</tool_c', 'all>  '];
+  const events = [...pieces.flatMap(piece => parser.push(piece)), ...parser.end()];
+
+  assert.deepEqual(events.map(event => event.type === 'content' ? event.text : event.toolCall.function.name), [
+    'Let me',
+    ' check.',
+    'get_weather'
+  ]);
+  assert.equal(events[2].index, 0);
+  assert.equal(parser.toolCalls.length, 1);
+});
+
+test('ToolCallParser formats earlier calls and results for the model', () => {
+  const calls = [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }];
+
+  assert.equal(ToolCallParser.formatToolCalls(calls), '<tool_call>{"name":"get_weather","arguments":{"city":"Paris"}}</tool_call>');
+  assert.equal(ToolCallParser.formatToolResult('18C', 'call_1', 'get_weather'), '<tool_result id="call_1" name="get_weather">\n18C\n</tool_result>');
+  assert.equal(ToolCallParser.formatToolResult('18C', 'call_1'), '<tool_result id="call_1">\n18C\n</tool_result>');
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UsageLedger } from '../src/usage.js';
+
+test('UsageLedger sums requests per day, key and model', async () => {
+  const ledger = new UsageLedger();
+  const day1 = new Date('2025-01-01T10:00:00Z');
+  const day2 = new Date('2025-01-02T10:00:00Z');
+
+  await ledger.record({ key: 'ci', model: 'gpt-4o', promptTokens: 10, completionTokens: 5, date: day1 });
+  await ledger.record({ key: 'ci', model: 'gpt-4o', promptTokens: 20, completionTokens: 5, date: day1 });
+  await ledger.record({ key: 'ci', model: 'claude-4-sonnet', promptTokens: 1, completionTokens: 1, date: day2 });
+  await ledger.record({ key: 'web', model: 'gpt-4o', promptTokens: 7, completionTokens: 3, date: day2 });
+
+  assert.deepEqual(ledger.query({ key: 'ci', model: 'gpt-4o' }).entries, [
+    { date: '2025-01-01', key: 'ci', model: 'gpt-4o', requests: 2, promptTokens: 30, completionTokens: 10 }
+  ]);
+  assert.deepEqual(ledger.query({ from: '2025-01-02' }).totals, { requests: 2, promptTokens: 8, completionTokens: 4 });
+  assert.deepEqual(ledger.query({ to: '2025-01-01' }).totals, { requests: 2, promptTokens: 30, completionTokens: 10 });
+  assert.equal(ledger.query().entries.length, 3);
+});
+
+test('UsageLedger persists entries to its file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 't3-usage-'));
+  try {
+    const path = join(dir, 'usage.json');
+    const ledger = await UsageLedger.load(path);
+    await Promise.all([1, 2, 3].map(() => ledger.record({ key: 'ci', model: 'gpt-4o', promptTokens: 1, completionTokens: 2 })));
+
+    const reloaded = await UsageLedger.load(path);
+    assert.deepEqual(reloaded.query().totals, { requests: 3, promptTokens: 3, completionTokens: 6 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});